@@ -114,6 +114,11 @@ export const initDatabase = async () => {
       )
     `);
 
+    // The element property a variable drives (content, src, color, fontSize, ...)
+    await db.query(`
+      ALTER TABLE canvas_variables ADD COLUMN IF NOT EXISTS property TEXT
+    `);
+
     // Create index for faster lookups
     await db.query(`
       CREATE INDEX IF NOT EXISTS idx_template_variables 
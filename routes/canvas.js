@@ -1,8 +1,25 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { runQuery, getQuery, getAllQuery } from '../database/init.js';
-import { generateCanvasImage } from '../services/imageGenerator.js';
+import { renderPool } from '../services/renderPool.js';
+import { renderCache, etagMatches } from '../services/renderCache.js';
+import { saveRender } from '../services/renderStore.js';
+import { uploadVersions } from '../services/imageFetcher.js';
 import fontManager from '../utils/fontManager.js';
+import {
+  OUTPUT_FORMATS,
+  splitRenderParams,
+  splitRenderBody,
+  resolveOutputFormat,
+  resolveOutputSize,
+  resolveLocale
+} from '../utils/renderOptions.js';
+import { applyVariant } from '../utils/templateVariants.js';
+import { extractVariableNames } from '../utils/interpolate.js';
+import { ruleVariableNames } from '../utils/visibility.js';
+import { bindingEntries, applyConfigBindings } from '../utils/bindings.js';
+import { isItemVariable } from '../utils/repeater.js';
+import { isTimeDependent } from '../utils/animation.js';
 
 const router = express.Router();
 
@@ -29,6 +46,75 @@ function replaceBaseUrl(obj, req) {
   return obj;
 }
 
+// The property an element's own variable replaces, by element type (content otherwise)
+const VARIABLE_PROPERTIES = {
+  image: 'src',
+  repeater: 'items',
+  progressbar: 'value',
+  gauge: 'value',
+  barchart: 'values',
+  sparkline: 'values'
+};
+
+// Helper function to record the variables used by a template and the property each one
+// drives. Elements without a variable (e.g. decorative shapes) are skipped; variables bound
+// to config properties are recorded with element id and type "canvas".
+function saveTemplateVariables(templateId, config, elements) {
+  const insertVariable = (elementId, elementType, variableName, property, defaultValue) => runQuery(
+    'INSERT INTO canvas_variables (template_id, variable_name, element_id, element_type, property, default_value) VALUES ($1, $2, $3, $4, $5, $6)',
+    [templateId, variableName, elementId, elementType, property, defaultValue ?? null]
+  );
+  const bindingDefault = (source, property) => {
+    const value = property.split('.').reduce((current, key) => current?.[key], source);
+    return value === undefined || value === null ? null : String(value);
+  };
+
+  // Variables of repeater sub-templates are recorded too, except the ones that refer to the
+  // current entry (item.*, index, count)
+  const elementInserts = (element, inRepeater = false) => {
+    const { type } = element.data;
+    const inserts = [];
+    const record = (variableName, property, defaultValue) => {
+      if (!inRepeater || !isItemVariable(variableName)) {
+        inserts.push(insertVariable(element.id, type, variableName, property, defaultValue));
+      }
+    };
+
+    if (element.variableName) {
+      const property = VARIABLE_PROPERTIES[type] || 'content';
+      const value = element.data[property];
+      record(element.variableName, property, Array.isArray(value) ? JSON.stringify(value) : value);
+    }
+
+    // Every {name} placeholder in text content and every variable a visibility rule
+    // checks is a variable too
+    if (type === 'text') {
+      extractVariableNames(element.data.content)
+        .filter(name => name !== element.variableName)
+        .forEach(name => record(name, 'content', null));
+    }
+    new Set(ruleVariableNames(element.data.visibleIf))
+      .forEach(name => record(name, 'visibleIf', null));
+
+    const bound = { ...element.data, x: element.x, y: element.y };
+    bindingEntries(element.data.bindings).forEach(([property, variableName]) => {
+      record(variableName, property, bindingDefault(bound, property));
+    });
+
+    if (type === 'repeater' && Array.isArray(element.data.template)) {
+      element.data.template.forEach(child => inserts.push(...elementInserts(child, true)));
+    }
+    return inserts;
+  };
+
+  const variablePromises = elements.flatMap(element => elementInserts(element));
+  bindingEntries(config?.bindings).forEach(([property, variableName]) => {
+    variablePromises.push(insertVariable('canvas', 'canvas', variableName, property, bindingDefault(config, property)));
+  });
+
+  return Promise.all(variablePromises);
+}
+
 // Category management routes
 
 // Get all categories
@@ -153,20 +239,7 @@ router.post('/templates', async (req, res) => {
     );
 
     // Extract and save variables
-    const variablePromises = elements.map(element => {
-      return runQuery(
-        'INSERT INTO canvas_variables (template_id, variable_name, element_id, element_type, default_value) VALUES ($1, $2, $3, $4, $5)',
-        [
-          templateId,
-          element.variableName,
-          element.id,
-          element.data.type,
-          element.data.type === 'text' ? element.data.content : element.data.src
-        ]
-      );
-    });
-
-    await Promise.all(variablePromises);
+    await saveTemplateVariables(templateId, config, elements);
 
     res.json({ 
       success: true, 
@@ -289,7 +362,7 @@ router.get('/templates/:id', async (req, res) => {
     }
 
     const variables = await getAllQuery(
-      'SELECT variable_name, element_type, default_value FROM canvas_variables WHERE template_id = $1',
+      'SELECT variable_name, element_id, element_type, property, default_value FROM canvas_variables WHERE template_id = $1',
       [id]
     );
 
@@ -334,21 +407,8 @@ router.put('/templates/:id', async (req, res) => {
 
     // Delete old variables and insert new ones
     await runQuery('DELETE FROM canvas_variables WHERE template_id = $1', [id]);
-    
-    const variablePromises = elements.map(element => {
-      return runQuery(
-        'INSERT INTO canvas_variables (template_id, variable_name, element_id, element_type, default_value) VALUES ($1, $2, $3, $4, $5)',
-        [
-          id,
-          element.variableName,
-          element.id,
-          element.data.type,
-          element.data.type === 'text' ? element.data.content : element.data.src
-        ]
-      );
-    });
-
-    await Promise.all(variablePromises);
+    await saveTemplateVariables(id, config, elements);
+    renderCache.invalidateTemplate(id);
 
     res.json({ 
       success: true, 
@@ -373,6 +433,7 @@ router.delete('/templates/:id', async (req, res) => {
     if (result.changes === 0) {
       return res.status(404).json({ error: 'Template not found' });
     }
+    renderCache.invalidateTemplate(id);
 
     res.json({ 
       success: true, 
@@ -384,53 +445,163 @@ router.delete('/templates/:id', async (req, res) => {
   }
 });
 
-// Handle OPTIONS request for CORS preflight
-router.options('/render/:id', (req, res) => {
+// Render a template with the given options and variables, from the render cache when
+// possible. Returns null when the template doesn't exist.
+async function renderTemplate(id, options, params, acceptHeader) {
+  const format = resolveOutputFormat(options, acceptHeader);
+  
+  // Get template data
+  const template = await getQuery(
+    'SELECT config, elements, updated_at FROM canvas_templates WHERE id = $1',
+    [id]
+  );
+  
+  if (!template) {
+    return null;
+  }
+
+  // Config bindings can change the canvas size, so they are resolved before the variant
+  // and output size are
+  const { config, elements } = applyVariant(
+    applyConfigBindings(JSON.parse(template.config), params),
+    JSON.parse(template.elements),
+    options.variant
+  );
+  const output = {
+    ...format,
+    ...resolveOutputSize(options, config),
+    variant: options.variant || null,
+    locale: resolveLocale(options, config)
+  };
+
+  // Serve a cached render of this template version and parameter set when there is one.
+  // Renders that depend on the current time (countdowns) are always drawn fresh.
+  const live = isTimeDependent(elements);
+  const uploads = live ? [] : await uploadVersions(config, elements, params);
+  const cacheKey = renderCache.keyFor(id, template.updated_at, params, output, uploads);
+  let rendered = live ? undefined : renderCache.get(cacheKey);
+  const cacheStatus = live ? 'BYPASS' : rendered ? 'HIT' : 'MISS';
+  let warnings = [];
+  
+  if (!rendered) {
+    // Generate image on a render worker. Renders with images that failed to load show
+    // placeholders instead, so they are not cached.
+    const result = await renderPool.render(config, elements, params, { ...output, now: Date.now() });
+    warnings = result.warnings;
+    rendered = live || warnings.length > 0
+      ? renderCache.entryFor(result.buffer, output.mimeType)
+      : renderCache.set(cacheKey, result.buffer, output.mimeType);
+  }
+
+  return { rendered, output, cacheStatus, live, warnings };
+}
+
+// Header value listing render warnings (see generateCanvasImage)
+const warningsHeader = (warnings) => warnings.join('; ').replace(/[^\x20-\x7e]/g, '?');
+
+// Send a rendered image with caching headers, or 304 when a GET or HEAD client has it already
+function sendRenderedImage(req, res, id, { rendered, output, cacheStatus, live, warnings }) {
+  // Set headers matching the negotiated output format
   res.set({
+    'ETag': rendered.etag,
+    'Vary': 'Accept',
+    'Cache-Control': live || warnings.length > 0 ? 'no-store' : 'public, max-age=3600',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Max-Age': '86400'
+    'X-Render-Cache': cacheStatus,
+    'X-Content-Type-Options': 'nosniff'
   });
-  res.status(200).end();
-});
+  if (warnings.length > 0) {
+    res.set('X-Render-Warnings', warningsHeader(warnings));
+  }
+  
+  // Conditional requests only apply to GET and HEAD
+  const conditional = req.method === 'GET' || req.method === 'HEAD';
+  if (conditional && etagMatches(req.get('If-None-Match'), rendered.etag)) {
+    return res.status(304).end();
+  }
+  
+  res.set({
+    'Content-Type': rendered.mimeType,
+    'Content-Length': rendered.buffer.length,
+    'Content-Disposition': `inline; filename="${id}.${OUTPUT_FORMATS[output.format].extension}"`
+  });
+  
+  res.send(rendered.buffer);
+}
+
+// Report a render failure: invalid options, a saturated pool or timeout, or a server error
+function sendRenderError(res, error) {
+  if (error.statusCode === 400) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.statusCode === 503 || error.statusCode === 504) {
+    // Render pool is saturated or the render timed out
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error('Error generating image:', error);
+  res.status(500).json({ error: 'Failed to generate image' });
+}
 
 // Generate dynamic image from template
 router.get('/render/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const params = req.query;
+    const { options, params } = splitRenderParams(req.query);
     
-    // Get template data
-    const template = await getQuery(
-      'SELECT config, elements FROM canvas_templates WHERE id = $1',
-      [id]
-    );
-    
-    if (!template) {
+    const result = await renderTemplate(id, options, params, req.get('Accept'));
+    if (!result) {
       return res.status(404).json({ error: 'Template not found' });
     }
+    
+    sendRenderedImage(req, res, id, result);
+  } catch (error) {
+    sendRenderError(res, error);
+  }
+});
 
-    const config = JSON.parse(template.config);
-    const elements = JSON.parse(template.elements);
-
-    // Generate image
-    const imageBuffer = await generateCanvasImage(config, elements, params);
+// Generate an image from a JSON body: { variables: {...}, format, quality, scale, width,
+// height, variant, locale, response }. Variables can be nested objects, arrays (repeaters,
+// charts) and data URIs for image variables. With response "json" the image is stored and
+// a JSON envelope with its hosted URL is returned instead of the image itself.
+router.post('/render/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { options, params } = splitRenderBody(req.body);
     
-    // Set appropriate headers for PNG images
+    const result = await renderTemplate(id, options, params, req.get('Accept'));
+    if (!result) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    if (options.response !== 'json') {
+      return sendRenderedImage(req, res, id, result);
+    }
+    
+    const { rendered, output, cacheStatus, warnings } = result;
+    const filename = await saveRender(id, rendered, OUTPUT_FORMATS[output.format].extension);
     res.set({
-      'Content-Type': 'image/png',
-      'Cache-Control': 'public, max-age=3600',
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'X-Content-Type-Options': 'nosniff'
+      'X-Render-Cache': cacheStatus
+    });
+    if (warnings.length > 0) {
+      res.set('X-Render-Warnings', warningsHeader(warnings));
+    }
+    res.json({
+      success: true,
+      url: `${req.protocol}://${req.get('host')}/images/${filename}`,
+      format: output.format,
+      mimeType: rendered.mimeType,
+      width: output.width,
+      height: output.height,
+      size: rendered.buffer.length,
+      etag: rendered.etag,
+      warnings
     });
-    
-    res.send(imageBuffer);
   } catch (error) {
-    console.error('Error generating image:', error);
-    res.status(500).json({ error: 'Failed to generate image' });
+    sendRenderError(res, error);
   }
 });
 
@@ -440,7 +611,7 @@ router.get('/templates/:id/variables', async (req, res) => {
     const { id } = req.params;
     
     const variables = await getAllQuery(
-      'SELECT variable_name, element_type, default_value FROM canvas_variables WHERE template_id = $1 ORDER BY variable_name',
+      'SELECT variable_name, element_id, element_type, property, default_value FROM canvas_variables WHERE template_id = $1 ORDER BY variable_name',
       [id]
     );
 
@@ -451,6 +622,19 @@ router.get('/templates/:id/variables', async (req, res) => {
   }
 });
 
+// Cache hit/miss statistics
+router.get('/cache/stats', async (req, res) => {
+  try {
+    res.json({
+      images: await renderPool.getImageCacheStats(),
+      renders: renderCache.getStats()
+    });
+  } catch (error) {
+    console.error('Error collecting cache stats:', error);
+    res.status(500).json({ error: 'Failed to collect cache stats' });
+  }
+});
+
 // Test Google Fonts functionality
 router.get('/test-fonts', async (req, res) => {
   try {
@@ -537,7 +721,7 @@ router.get('/test-fonts', async (req, res) => {
     const params = req.query;
     
     // Generate test image with Google Fonts
-    const imageBuffer = await generateCanvasImage(config, elements, params);
+    const { buffer: imageBuffer } = await renderPool.render(config, elements, params);
     
     res.set({
       'Content-Type': 'image/png',
@@ -9,6 +9,7 @@ import { canvasRoutes } from './routes/canvas.js';
 import { schedulerRoutes } from './routes/scheduler.js';
 import { initDatabase, checkDatabaseAvailability } from './database/init.js';
 import { schedulerService } from './services/schedulerService.js';
+import { renderPool } from './services/renderPool.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -49,10 +50,13 @@ const upload = multer({
 });
 
 // Middleware
+// If-None-Match lets browsers revalidate renders cross-origin; the render headers are exposed
+// so clients can read them
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-None-Match'],
+  exposedHeaders: ['ETag', 'X-Render-Cache', 'X-Render-Warnings'],
   credentials: false
 }));
 app.use(express.json({ limit: '50mb' }));
@@ -101,7 +105,8 @@ app.get('/health', (req, res) => {
     features: {
       imageGeneration: true,
       dataStorage: dbAvailable ? 'PostgreSQL' : 'In-Memory (Session Only)'
-    }
+    },
+    renderPool: renderPool.getStats()
   });
 });
 
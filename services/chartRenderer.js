@@ -0,0 +1,351 @@
+import fontManager from '../utils/fontManager.js';
+import { createGradient, isGradientSpec } from '../utils/gradients.js';
+import { interpolate } from '../utils/interpolate.js';
+import { parseNumber } from '../utils/formatters.js';
+import { isPaintable } from '../utils/colors.js';
+import { traceRoundedRect } from './shapeRenderer.js';
+
+// Drawing of data elements: progress bar, radial gauge, bar chart and sparkline.
+//
+// progressbar and gauge show one number (the element variable, or data.value) within
+// data.min..data.max (default 0..100). barchart and sparkline show a series: a JSON array of
+// numbers or { label, value, color } objects, or a comma separated list such as "3, 5, 2";
+// data.values is the default. The axis range defaults to the data range. Numbers are read
+// with the render locale's separators and may end in "%".
+//
+// Labels are templates over {value}, {min}, {max} and {percent}, so formatters apply:
+// labelFormat: '{percent}%' (progress bar and gauge default), '{value | currency:USD}'.
+
+export const CHART_TYPES = ['progressbar', 'gauge', 'barchart', 'sparkline'];
+
+export const CHART_FONT_FAMILY = 'Arial, sans-serif';
+
+const parseValue = (value, locale) => parseNumber(typeof value === 'string' ? value.replace(/%\s*$/, '') : value, locale);
+
+// Series entries as { label, value, color }, from an array, a JSON array or a list
+const parseSeries = (value, locale) => {
+  let entries = value;
+  if (typeof value === 'string') {
+    const text = value.trim();
+    try {
+      entries = text.startsWith('[') ? JSON.parse(text) : text.split(/[\s,;]+/).filter(Boolean);
+    } catch (error) {
+      console.warn('Ignoring invalid chart series:', error.message);
+      return [];
+    }
+  }
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+  return entries
+    .map(entry => (entry && typeof entry === 'object'
+      ? { label: entry.label, value: parseValue(entry.value, locale), color: entry.color }
+      : { value: parseValue(entry, locale) }))
+    .filter(entry => entry.value !== null);
+};
+
+// The [min, max] axis range: explicit data.min/data.max, else the values' range
+const resolveRange = (data, values, fallback, locale) => {
+  const min = parseValue(data.min, locale) ?? (values.length > 0 ? Math.min(...values) : fallback[0]);
+  let max = parseValue(data.max, locale) ?? (values.length > 0 ? Math.max(...values) : fallback[1]);
+  if (max <= min) {
+    max = min + 1;
+  }
+  return [min, max];
+};
+
+const fraction = (value, [min, max]) => Math.max(0, Math.min(1, (value - min) / (max - min)));
+
+const setFont = async (ctx, data, fontSize) => {
+  const resolvedFont = await fontManager.ensureFontAvailable(data.fontFamily || CHART_FONT_FAMILY);
+  ctx.font = fontManager.getFontString(resolvedFont, fontSize, data.fontWeight || 'normal');
+};
+
+const formatLabel = (format, values, context = {}) => interpolate(format, values, {
+  locale: context.locale,
+  timeZone: context.timeZone,
+  now: context.now
+});
+
+// Fill for the value part: data.gradient over the element box, else `color`
+const valueFill = (ctx, element, box, color) => (isGradientSpec(element.data.gradient)
+  ? createGradient(ctx, element.data.gradient, box) || color
+  : color);
+
+const drawProgressBar = async (ctx, element, variableValue, context) => {
+  const { data } = element;
+  const width = data.width || 300;
+  const height = data.height || 24;
+  const range = resolveRange(data, [], [0, 100], context?.locale);
+  const value = parseValue(variableValue ?? data.value, context?.locale) ?? range[0];
+  const share = fraction(value, range);
+  const vertical = data.orientation === 'vertical';
+  const radius = data.cornerRadius ?? Math.min(width, height) / 2;
+  const box = { x: element.x, y: element.y, width, height };
+
+  const trackColor = data.trackColor ?? '#e5e7eb';
+  if (isPaintable(trackColor)) {
+    ctx.beginPath();
+    traceRoundedRect(ctx, box.x, box.y, width, height, radius);
+    ctx.fillStyle = trackColor;
+    ctx.fill();
+  }
+
+  if (share > 0) {
+    // Clip to the track so the rounded end of a short bar follows the track's shape
+    ctx.save();
+    ctx.beginPath();
+    traceRoundedRect(ctx, box.x, box.y, width, height, radius);
+    ctx.clip();
+    ctx.beginPath();
+    if (vertical) {
+      traceRoundedRect(ctx, box.x, box.y + height * (1 - share), width, height * share, radius);
+    } else {
+      traceRoundedRect(ctx, box.x, box.y, width * share, height, radius);
+    }
+    ctx.fillStyle = valueFill(ctx, element, box, data.barColor || '#3b82f6');
+    ctx.fill();
+    ctx.restore();
+  }
+
+  if (data.showLabel) {
+    const fontSize = data.fontSize || Math.max(10, Math.round((vertical ? width : height) * 0.6));
+    await setFont(ctx, data, fontSize);
+    const label = formatLabel(data.labelFormat || '{percent}%', {
+      value: String(value),
+      min: String(range[0]),
+      max: String(range[1]),
+      percent: String(Math.round(share * 100))
+    }, context);
+    ctx.fillStyle = data.labelColor || (data.labelPosition === 'outside' ? '#111827' : '#ffffff');
+    ctx.textBaseline = 'middle';
+    if (data.labelPosition === 'outside' && !vertical) {
+      ctx.textAlign = 'left';
+      ctx.fillText(label, box.x + width + fontSize / 2, box.y + height / 2);
+    } else {
+      ctx.textAlign = 'center';
+      ctx.fillText(label, box.x + width / 2, box.y + height / 2, width);
+    }
+  }
+};
+
+// A 270° arc opening at the bottom by default; data.startAngle and data.sweepAngle are in
+// degrees, clockwise from 3 o'clock
+const drawGauge = async (ctx, element, variableValue, context) => {
+  const { data } = element;
+  const width = data.width || 200;
+  const height = data.height || 200;
+  const range = resolveRange(data, [], [0, 100], context?.locale);
+  const value = parseValue(variableValue ?? data.value, context?.locale) ?? range[0];
+  const share = fraction(value, range);
+
+  const outerRadius = Math.min(width, height) / 2;
+  const thickness = data.thickness || outerRadius * 0.2;
+  const radius = Math.max(outerRadius - thickness / 2, 1);
+  const centerX = element.x + width / 2;
+  const centerY = element.y + height / 2;
+  const start = ((data.startAngle ?? 135) * Math.PI) / 180;
+  const sweep = ((data.sweepAngle ?? 270) * Math.PI) / 180;
+  const box = { x: centerX - outerRadius, y: centerY - outerRadius, width: outerRadius * 2, height: outerRadius * 2 };
+
+  ctx.lineWidth = thickness;
+  ctx.lineCap = data.lineCap || 'round';
+
+  const trackColor = data.trackColor ?? '#e5e7eb';
+  if (isPaintable(trackColor)) {
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius, start, start + sweep);
+    ctx.strokeStyle = trackColor;
+    ctx.stroke();
+  }
+
+  if (share > 0) {
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius, start, start + sweep * share);
+    ctx.strokeStyle = valueFill(ctx, element, box, data.barColor || '#3b82f6');
+    ctx.stroke();
+  }
+
+  const labels = {
+    value: String(value),
+    min: String(range[0]),
+    max: String(range[1]),
+    percent: String(Math.round(share * 100))
+  };
+  ctx.fillStyle = data.labelColor || '#111827';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  if (data.showLabel !== false) {
+    const fontSize = data.fontSize || Math.max(10, Math.round(radius * 0.45));
+    await setFont(ctx, data, fontSize);
+    ctx.fillText(formatLabel(data.labelFormat || '{percent}%', labels, context), centerX, centerY, radius * 1.6);
+  }
+
+  // Range labels under the ends of the arc
+  if (data.showRange) {
+    const fontSize = Math.max(8, Math.round((data.fontSize || radius * 0.45) * 0.4));
+    await setFont(ctx, data, fontSize);
+    ctx.textBaseline = 'top';
+    [[start, labels.min], [start + sweep, labels.max]].forEach(([angle, text]) => {
+      ctx.fillText(
+        formatLabel(data.rangeFormat || '{value}', { value: text }, context),
+        centerX + Math.cos(angle) * radius,
+        centerY + Math.sin(angle) * radius + thickness / 2 + 2
+      );
+    });
+  }
+};
+
+// Vertical bars from the zero line (or the axis minimum, when it is above zero)
+const drawBarChart = async (ctx, element, variableValue, context) => {
+  const { data } = element;
+  const width = data.width || 400;
+  const height = data.height || 200;
+  const series = parseSeries(variableValue ?? data.values, context?.locale);
+  if (series.length === 0) {
+    console.warn(`Skipping bar chart ${element.id}: no values`);
+    return;
+  }
+
+  const labels = series.map((entry, index) => entry.label ?? data.labels?.[index]);
+  const showLabels = data.showLabels !== false && labels.some(label => label !== undefined && label !== '');
+  const showValues = Boolean(data.showValues);
+  const fontSize = data.fontSize || 12;
+  const labelSpace = showLabels ? fontSize + 6 : 0;
+  const valueSpace = showValues ? fontSize + 4 : 0;
+
+  const values = series.map(entry => entry.value);
+  const range = resolveRange(data, [0, ...values], [0, 1], context?.locale);
+  const plotTop = element.y + valueSpace;
+  const plotHeight = Math.max(height - labelSpace - valueSpace, 1);
+  const yFor = (value) => plotTop + plotHeight * (1 - fraction(value, range));
+  const baseline = yFor(Math.max(range[0], Math.min(range[1], 0)));
+
+  const slot = width / series.length;
+  const barWidth = slot * (1 - Math.max(0, Math.min(0.9, data.barGap ?? 0.2)));
+  const radius = Math.min(data.cornerRadius || 0, barWidth / 2);
+  const colors = Array.isArray(data.colors) && data.colors.length > 0 ? data.colors : [data.barColor || '#3b82f6'];
+  const plotBox = { x: element.x, y: plotTop, width, height: plotHeight };
+
+  series.forEach((entry, index) => {
+    const x = element.x + slot * index + (slot - barWidth) / 2;
+    const top = Math.min(yFor(entry.value), baseline);
+    const barHeight = Math.abs(yFor(entry.value) - baseline);
+    if (barHeight <= 0) return;
+    const radii = entry.value >= 0 ? [radius, radius, 0, 0] : [0, 0, radius, radius];
+    ctx.beginPath();
+    traceRoundedRect(ctx, x, top, barWidth, barHeight, radii);
+    ctx.fillStyle = entry.color || valueFill(ctx, element, plotBox, colors[index % colors.length]);
+    ctx.fill();
+  });
+
+  const axisColor = data.axisColor ?? '#9ca3af';
+  if (data.showAxis !== false && isPaintable(axisColor)) {
+    ctx.beginPath();
+    ctx.moveTo(element.x, baseline);
+    ctx.lineTo(element.x + width, baseline);
+    ctx.strokeStyle = axisColor;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+  }
+
+  if (!showLabels && !showValues) return;
+  await setFont(ctx, data, fontSize);
+  ctx.fillStyle = data.labelColor || '#374151';
+  ctx.textAlign = 'center';
+
+  series.forEach((entry, index) => {
+    const centerX = element.x + slot * index + slot / 2;
+    if (showLabels && labels[index] !== undefined) {
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(String(labels[index]), centerX, element.y + height, slot);
+    }
+    if (showValues) {
+      const text = formatLabel(data.labelFormat || '{value}', {
+        value: String(entry.value),
+        min: String(range[0]),
+        max: String(range[1]),
+        percent: String(Math.round(fraction(entry.value, range) * 100))
+      }, context);
+      // Above positive bars, below negative ones
+      if (entry.value >= 0) {
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(text, centerX, Math.min(yFor(entry.value), baseline) - 2, slot);
+      } else {
+        ctx.textBaseline = 'top';
+        ctx.fillText(text, centerX, Math.max(yFor(entry.value), baseline) + 2, slot);
+      }
+    }
+  });
+};
+
+// A line through the values, evenly spaced across the width
+const drawSparkline = (ctx, element, variableValue, context) => {
+  const { data } = element;
+  const width = data.width || 300;
+  const height = data.height || 80;
+  const series = parseSeries(variableValue ?? data.values, context?.locale);
+  if (series.length === 0) {
+    console.warn(`Skipping sparkline ${element.id}: no values`);
+    return;
+  }
+
+  const lineWidth = data.lineWidth ?? 2;
+  const pointRadius = data.showLastPoint ? (data.pointRadius ?? lineWidth * 2) : 0;
+  const inset = Math.max(lineWidth / 2, pointRadius);
+  const range = resolveRange(data, series.map(entry => entry.value), [0, 1], context?.locale);
+  const points = series.map((entry, index) => ({
+    x: element.x + inset + (series.length > 1 ? (index / (series.length - 1)) * (width - inset * 2) : (width - inset * 2) / 2),
+    y: element.y + inset + (1 - fraction(entry.value, range)) * (height - inset * 2)
+  }));
+
+  const tracePoints = () => points.forEach((point, index) => (index === 0
+    ? ctx.moveTo(point.x, point.y)
+    : ctx.lineTo(point.x, point.y)));
+
+  if (isPaintable(data.fillColor) || isGradientSpec(data.gradient)) {
+    ctx.beginPath();
+    tracePoints();
+    ctx.lineTo(points[points.length - 1].x, element.y + height);
+    ctx.lineTo(points[0].x, element.y + height);
+    ctx.closePath();
+    ctx.fillStyle = valueFill(ctx, element, { x: element.x, y: element.y, width, height }, data.fillColor);
+    ctx.fill();
+  }
+
+  ctx.beginPath();
+  tracePoints();
+  ctx.strokeStyle = data.lineColor || '#3b82f6';
+  ctx.lineWidth = lineWidth;
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+  ctx.stroke();
+
+  if (pointRadius > 0) {
+    const last = points[points.length - 1];
+    ctx.beginPath();
+    ctx.arc(last.x, last.y, pointRadius, 0, Math.PI * 2);
+    ctx.fillStyle = data.pointColor || data.lineColor || '#3b82f6';
+    ctx.fill();
+  }
+};
+
+const CHART_DRAWERS = {
+  progressbar: drawProgressBar,
+  gauge: drawGauge,
+  barchart: drawBarChart,
+  sparkline: drawSparkline
+};
+
+// `context` carries the locale and time zone used to format labels
+export const drawChartElement = async (ctx, element, variableValue, context) => {
+  ctx.save();
+  try {
+    await CHART_DRAWERS[element.data.type](ctx, element, variableValue, context);
+  } catch (error) {
+    console.error(`Error drawing ${element.data.type} element:`, error);
+  } finally {
+    ctx.restore();
+  }
+};
@@ -0,0 +1,163 @@
+import QRCode from 'qrcode';
+import { encodeBarcode } from '../utils/barcode.js';
+import fontManager from '../utils/fontManager.js';
+import { isPaintable } from '../utils/colors.js';
+
+// Drawing of scannable code elements: QR codes and linear barcodes.
+// Both are drawn as vector rectangles so they stay sharp in every output format.
+
+const QR_ERROR_LEVELS = ['L', 'M', 'Q', 'H'];
+
+export const BARCODE_FONT_FAMILY = 'Source Code Pro, monospace';
+
+const hasValue = (value) => value !== undefined && value !== null && String(value) !== '';
+
+// The element variable's value, or the element's own content when the variable is unset or empty
+const resolvePayload = (variableValue, content) => (hasValue(variableValue) ? variableValue : content);
+
+// Use whole-pixel modules when there is room, since blurred module edges hurt scanning
+const moduleSize = (available, count) => {
+  const exact = available / count;
+  return exact >= 1 ? Math.floor(exact) : exact;
+};
+
+const drawCodeError = (ctx, element, width, height, message) => {
+  ctx.fillStyle = '#ffebee';
+  ctx.fillRect(element.x, element.y, width, height);
+  ctx.strokeStyle = '#f44336';
+  ctx.strokeRect(element.x, element.y, width, height);
+
+  ctx.fillStyle = '#f44336';
+  ctx.font = '12px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(message, element.x + width / 2, element.y + height / 2, width - 8);
+};
+
+export const drawQrCodeElement = (ctx, element, variableValue) => {
+  const { data } = element;
+  const size = Math.min(data.width || 150, data.height || data.width || 150);
+  const payload = resolvePayload(variableValue, data.content);
+
+  ctx.save();
+  try {
+    if (!hasValue(payload)) {
+      drawCodeError(ctx, element, size, size, 'No QR data');
+      return;
+    }
+
+    const errorCorrectionLevel = QR_ERROR_LEVELS.includes(String(data.errorCorrectionLevel).toUpperCase())
+      ? String(data.errorCorrectionLevel).toUpperCase()
+      : 'M';
+    const { modules } = QRCode.create(String(payload), { errorCorrectionLevel });
+
+    const margin = data.margin ?? 2;
+    const count = modules.size + margin * 2;
+    const unit = moduleSize(size, count);
+    const offset = (size - unit * count) / 2;
+    const originX = element.x + offset + margin * unit;
+    const originY = element.y + offset + margin * unit;
+
+    const backgroundColor = data.backgroundColor ?? '#ffffff';
+    if (isPaintable(backgroundColor)) {
+      ctx.fillStyle = backgroundColor;
+      ctx.fillRect(element.x, element.y, size, size);
+    }
+
+    // Merge horizontal runs of dark modules into single rectangles to avoid seams
+    ctx.fillStyle = data.foregroundColor || '#000000';
+    ctx.beginPath();
+    for (let row = 0; row < modules.size; row++) {
+      let col = 0;
+      while (col < modules.size) {
+        if (!modules.get(row, col)) {
+          col++;
+          continue;
+        }
+        const start = col;
+        while (col < modules.size && modules.get(row, col)) {
+          col++;
+        }
+        ctx.rect(originX + start * unit, originY + row * unit, (col - start) * unit, unit);
+      }
+    }
+    ctx.fill();
+  } catch (error) {
+    console.error('Error drawing QR code element:', error);
+    drawCodeError(ctx, element, size, size, 'Invalid QR data');
+  } finally {
+    ctx.restore();
+  }
+};
+
+export const drawBarcodeElement = async (ctx, element, variableValue) => {
+  const { data } = element;
+  const width = data.width || 300;
+  const height = data.height || 120;
+  const payload = resolvePayload(variableValue, data.content);
+
+  ctx.save();
+  try {
+    if (!hasValue(payload)) {
+      drawCodeError(ctx, element, width, height, 'No barcode data');
+      return;
+    }
+
+    let encoded;
+    try {
+      encoded = encodeBarcode(data.format, payload);
+    } catch (error) {
+      console.warn(`Invalid barcode value for element ${element.id}:`, error.message);
+      drawCodeError(ctx, element, width, height, error.message);
+      return;
+    }
+
+    const { modules, text } = encoded;
+    const showText = data.showText !== false;
+    const fontSize = data.fontSize || 14;
+    const textGap = showText ? fontSize + 4 : 0;
+    // Quiet zone in modules on each side; scanners need at least 10
+    const quietZone = data.margin ?? 10;
+    const count = modules.length + quietZone * 2;
+    const unit = moduleSize(width, count);
+    const originX = element.x + (width - unit * modules.length) / 2;
+    const barHeight = Math.max(height - textGap, 1);
+
+    const backgroundColor = data.backgroundColor ?? '#ffffff';
+    if (isPaintable(backgroundColor)) {
+      ctx.fillStyle = backgroundColor;
+      ctx.fillRect(element.x, element.y, width, height);
+    }
+
+    const foregroundColor = data.foregroundColor || '#000000';
+    ctx.fillStyle = foregroundColor;
+    ctx.beginPath();
+    let index = 0;
+    while (index < modules.length) {
+      if (modules[index] !== '1') {
+        index++;
+        continue;
+      }
+      const start = index;
+      while (index < modules.length && modules[index] === '1') {
+        index++;
+      }
+      ctx.rect(originX + start * unit, element.y, (index - start) * unit, barHeight);
+    }
+    ctx.fill();
+
+    if (showText) {
+      ctx.fillStyle = foregroundColor;
+      const resolvedFont = await fontManager.ensureFontAvailable(data.fontFamily || BARCODE_FONT_FAMILY);
+      ctx.font = fontManager.getFontString(resolvedFont, fontSize);
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.fillText(text, element.x + width / 2, element.y + barHeight + 2, width);
+    }
+  } catch (error) {
+    console.error('Error drawing barcode element:', error);
+    drawCodeError(ctx, element, width, height, 'Failed to draw barcode');
+  } finally {
+    ctx.restore();
+  }
+};
@@ -0,0 +1,88 @@
+import { loadImage } from 'canvas';
+import crypto from 'crypto';
+import { workerData } from 'worker_threads';
+import { fetchImageBuffer, resolveUploadPath, uploadVersion } from './imageFetcher.js';
+import { LruCache } from '../utils/lruCache.js';
+import { numberFromEnv } from '../utils/env.js';
+
+// In-process cache of decoded images, keyed by source. Templates reuse the same handful of
+// backgrounds and uploads, so keeping them decoded skips both the fetch and the decode.
+//
+// Configuration (environment):
+//   IMAGE_CACHE_MAX_MB       decoded size budget for the whole process, default 256
+//   IMAGE_CACHE_MAX_ENTRIES  default 500, also for the whole process
+//   IMAGE_CACHE_TTL_MS       default 10 minutes; remote images are refetched after this,
+//                            0 keeps them until evicted
+//
+// Every render worker has its own cache, so each gets an equal share of both budgets.
+//
+// Uploads are revalidated against the file's modification time and size on every hit,
+// so replacing a file under /uploads takes effect on the next render.
+
+// Decoded images are held as 32-bit pixels
+const decodedSize = ({ image }) => Math.max(1, image.width * image.height * 4);
+
+// Caches sharing the budget: one per render worker, or one when used outside the pool
+const cacheCount = Math.max(1, Number(workerData?.poolSize) || 1);
+
+class ImageCache {
+  constructor() {
+    this.cache = new LruCache({
+      maxEntries: Math.max(1, Math.floor(numberFromEnv('IMAGE_CACHE_MAX_ENTRIES', 500) / cacheCount)),
+      maxSize: (numberFromEnv('IMAGE_CACHE_MAX_MB', 256) * 1024 * 1024) / cacheCount,
+      ttl: numberFromEnv('IMAGE_CACHE_TTL_MS', 10 * 60 * 1000, { allowZero: true }),
+      sizeOf: decodedSize
+    });
+    // Loads in progress, so concurrent renders of the same source share one fetch
+    this.pending = new Map();
+  }
+
+  // Data URIs can be megabytes long, so they are keyed by digest
+  keyFor(src) {
+    const source = String(src || '').trim();
+    if (source.startsWith('data:')) {
+      return `data:sha1:${crypto.createHash('sha1').update(source).digest('hex')}`;
+    }
+    return source;
+  }
+
+  // Decoded image for a source, loading it through the guarded fetch layer on a miss
+  async load(src) {
+    const key = this.keyFor(src);
+    const uploadPath = resolveUploadPath(src);
+    const version = uploadPath ? await uploadVersion(uploadPath) : null;
+
+    const cached = this.cache.get(key);
+    if (cached && cached.version === version) {
+      return cached.image;
+    }
+    if (cached) {
+      // The upload was replaced or removed since it was cached
+      this.cache.delete(key);
+    }
+
+    const pendingKey = `${key}#${version}`;
+    if (!this.pending.has(pendingKey)) {
+      const loading = (async () => {
+        try {
+          const image = await loadImage(await fetchImageBuffer(src));
+          this.cache.set(key, { image, version });
+          return image;
+        } finally {
+          this.pending.delete(pendingKey);
+        }
+      })();
+      this.pending.set(pendingKey, loading);
+    }
+    return this.pending.get(pendingKey);
+  }
+
+  getStats() {
+    return {
+      ...this.cache.getStats(),
+      pending: this.pending.size
+    };
+  }
+}
+
+export const imageCache = new ImageCache();
@@ -0,0 +1,430 @@
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import dns from 'dns';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, basename } from 'path';
+import { numberFromEnv } from '../utils/env.js';
+
+// Fetch layer in front of image loading. Image sources come from template data and from
+// render query parameters, so they are untrusted: remote URLs are only fetched from public
+// addresses (optionally restricted to an allowlist of hosts), with connect and read
+// timeouts, a download size cap and content type checks. Our own /uploads files are read
+// from disk, data URIs are decoded in place, and other local paths are refused.
+//
+// Configuration (environment):
+//   IMAGE_HOST_ALLOWLIST            comma-separated hosts; "*.example.com" matches subdomains.
+//                                   When empty, any public host is allowed.
+//   IMAGE_FETCH_CONNECT_TIMEOUT_MS  default 3000
+//   IMAGE_FETCH_TIMEOUT_MS          time allowed for the whole response, default 10000
+//   IMAGE_FETCH_MAX_BYTES           default 10 MB, the same as the upload limit
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const UPLOADS_DIR = join(__dirname, '..', 'uploads');
+const MAX_REDIRECTS = 3;
+
+const getSettings = () => ({
+  allowlist: (process.env.IMAGE_HOST_ALLOWLIST || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean),
+  connectTimeout: numberFromEnv('IMAGE_FETCH_CONNECT_TIMEOUT_MS', 3000),
+  readTimeout: numberFromEnv('IMAGE_FETCH_TIMEOUT_MS', 10000),
+  maxBytes: numberFromEnv('IMAGE_FETCH_MAX_BYTES', 10 * 1024 * 1024)
+});
+
+// Error raised when an image source is refused or cannot be fetched.
+// `reason` is a stable code: invalid_source, unsupported_protocol, host_not_allowed,
+// blocked_address, dns_failed, connect_timeout, read_timeout, http_error, too_many_redirects,
+// too_large, invalid_content_type, not_found or network_error.
+export class ImageFetchError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'ImageFetchError';
+    this.reason = reason;
+  }
+}
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and other non-public ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// The 16 bytes of a valid IPv6 address
+const ipv6Bytes = (address) => {
+  let text = address.replace(/%.*$/, '');
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    text = `${text.slice(0, -dotted[1].length)}0:0`;
+  }
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+  const bytes = groups.flatMap(group => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+  if (dotted) {
+    bytes.splice(12, 4, ...dotted[1].split('.').map(Number));
+  }
+  return bytes;
+};
+
+// The IPv4 address carried by an IPv4-mapped (::ffff:a.b.c.d), IPv4-compatible (::a.b.c.d)
+// or 6to4 (2002:aabb:ccdd::/16) IPv6 address, or null
+const embeddedIpv4 = (address) => {
+  const bytes = ipv6Bytes(address);
+  const zeroPrefix = (length) => bytes.slice(0, length).every(byte => byte === 0);
+  if (zeroPrefix(10) && bytes[10] === 0xff && bytes[11] === 0xff) {
+    return bytes.slice(12, 16).join('.');
+  }
+  if (zeroPrefix(12)) {
+    return bytes.slice(12, 16).join('.');
+  }
+  if (bytes[0] === 0x20 && bytes[1] === 0x02) {
+    return bytes.slice(2, 6).join('.');
+  }
+  return null;
+};
+
+export const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  if (family === 4) {
+    return blockedAddresses.check(address, 'ipv4');
+  }
+  // IPv6 forms that carry an IPv4 address are checked as that address too
+  const ipv4 = embeddedIpv4(address);
+  return blockedAddresses.check(address, 'ipv6') || (ipv4 !== null && blockedAddresses.check(ipv4, 'ipv4'));
+};
+
+const isHostAllowed = (hostname, allowlist) => {
+  if (allowlist.length === 0) {
+    return true;
+  }
+  return allowlist.some(entry => (entry.startsWith('*.')
+    ? hostname.endsWith(entry.slice(1))
+    : hostname === entry));
+};
+
+// Hosts whose /uploads paths are served by this app and can be read from disk
+const isOwnHost = (url) => {
+  const ownHosts = new Set(['localhost', '127.0.0.1', '[::1]']);
+  if (process.env.BASE_URL) {
+    try {
+      ownHosts.add(new URL(process.env.BASE_URL).hostname.toLowerCase());
+    } catch (error) {
+      // An invalid BASE_URL only means no extra host is recognized
+    }
+  }
+  return ownHosts.has(url.hostname.toLowerCase());
+};
+
+const checkContentType = (contentType, source) => {
+  const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (!mimeType.startsWith('image/')) {
+    throw new ImageFetchError(
+      'invalid_content_type',
+      `${source} has content type "${mimeType || 'none'}", expected an image`
+    );
+  }
+};
+
+const readDataUri = (src, { maxBytes }) => {
+  const match = src.match(/^data:([^;,]*)(;base64)?,(.*)$/s);
+  if (!match) {
+    throw new ImageFetchError('invalid_source', 'Malformed data URI');
+  }
+  checkContentType(match[1], 'Data URI');
+  const buffer = match[2]
+    ? Buffer.from(match[3], 'base64')
+    : Buffer.from(decodeURIComponent(match[3]));
+  if (buffer.length > maxBytes) {
+    throw new ImageFetchError('too_large', `Data URI image is larger than ${maxBytes} bytes`);
+  }
+  return buffer;
+};
+
+// Path on disk of an /uploads source served by this app, or null for any other source.
+// Only plain file names inside the uploads directory are used, never nested or parent paths.
+export const resolveUploadPath = (src) => {
+  const source = String(src || '').trim();
+  let pathname = null;
+
+  if (source.startsWith('/uploads/')) {
+    pathname = source;
+  } else {
+    try {
+      const url = new URL(source);
+      if ((url.protocol === 'http:' || url.protocol === 'https:') && isOwnHost(url) && url.pathname.startsWith('/uploads/')) {
+        pathname = url.pathname;
+      }
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!pathname) {
+    return null;
+  }
+  let filename;
+  try {
+    filename = basename(decodeURIComponent(pathname.split(/[?#]/)[0]));
+  } catch (error) {
+    return null;
+  }
+  return filename ? join(UPLOADS_DIR, filename) : null;
+};
+
+// Version of an upload as "mtime:size", or null when the file does not exist
+export const uploadVersion = async (uploadPath) => {
+  try {
+    const stats = await fs.promises.stat(uploadPath);
+    return `${stats.mtimeMs}:${stats.size}`;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Versions of the uploads named anywhere in the given values (template config, elements,
+// parameters) as sorted [path, version] pairs
+export const uploadVersions = async (...values) => {
+  const paths = new Set();
+  const collect = (value) => {
+    if (typeof value === 'string') {
+      const uploadPath = value.includes('/uploads/') ? resolveUploadPath(value) : null;
+      if (uploadPath) paths.add(uploadPath);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(collect);
+    }
+  };
+  values.forEach(collect);
+
+  return Promise.all([...paths].sort().map(async uploadPath => [uploadPath, await uploadVersion(uploadPath)]));
+};
+
+const readUpload = async (filePath, { maxBytes }) => {
+  const filename = basename(filePath);
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (error) {
+    throw new ImageFetchError('not_found', `Upload "${filename}" does not exist`);
+  }
+  if (!stats.isFile()) {
+    throw new ImageFetchError('not_found', `Upload "${filename}" does not exist`);
+  }
+  if (stats.size > maxBytes) {
+    throw new ImageFetchError('too_large', `Upload "${filename}" is larger than ${maxBytes} bytes`);
+  }
+  return fs.promises.readFile(filePath);
+};
+
+// Resolve a host and make sure every address it resolves to is public
+const resolvePublicAddress = async (hostname) => {
+  const bareHost = hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(bareHost)) {
+    addresses = [{ address: bareHost, family: net.isIP(bareHost) }];
+  } else {
+    try {
+      addresses = await dns.promises.lookup(bareHost, { all: true, verbatim: true });
+    } catch (error) {
+      throw new ImageFetchError('dns_failed', `Could not resolve host "${hostname}"`);
+    }
+  }
+
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked || addresses.length === 0) {
+    throw new ImageFetchError(
+      'blocked_address',
+      `Host "${hostname}" resolves to a private or reserved address`
+    );
+  }
+  return addresses[0];
+};
+
+// One HTTP request pinned to an already validated address, so a second DNS answer
+// cannot point the connection somewhere else
+const requestOnce = (url, target, settings) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  let settled = false;
+  const fail = (error) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(connectTimer);
+    clearTimeout(readTimer);
+    request.destroy();
+    reject(error);
+  };
+
+  const request = client.get(url, {
+    headers: { Accept: 'image/*', 'User-Agent': 'DynamicCanvasStudio/1.0' },
+    lookup: (hostname, options, callback) => {
+      if (options && options.all) {
+        callback(null, [{ address: target.address, family: target.family }]);
+      } else {
+        callback(null, target.address, target.family);
+      }
+    }
+  });
+
+  const connectTimer = setTimeout(() => {
+    fail(new ImageFetchError('connect_timeout', `Connecting to ${url.host} took longer than ${settings.connectTimeout}ms`));
+  }, settings.connectTimeout);
+  const readTimer = setTimeout(() => {
+    fail(new ImageFetchError('read_timeout', `Downloading ${url.href} took longer than ${settings.readTimeout}ms`));
+  }, settings.readTimeout);
+
+  request.on('socket', (socket) => {
+    socket.once(url.protocol === 'https:' ? 'secureConnect' : 'connect', () => clearTimeout(connectTimer));
+  });
+
+  request.on('response', (response) => {
+    clearTimeout(connectTimer);
+    const { statusCode, headers } = response;
+
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      response.resume();
+      settled = true;
+      clearTimeout(readTimer);
+      resolve({ redirect: new URL(headers.location, url) });
+      return;
+    }
+
+    if (statusCode !== 200) {
+      response.resume();
+      fail(new ImageFetchError('http_error', `${url.href} responded with HTTP ${statusCode}`));
+      return;
+    }
+
+    try {
+      checkContentType(headers['content-type'], url.href);
+    } catch (error) {
+      response.resume();
+      fail(error);
+      return;
+    }
+
+    const declaredLength = Number(headers['content-length']);
+    if (declaredLength > settings.maxBytes) {
+      response.resume();
+      fail(new ImageFetchError('too_large', `${url.href} is larger than ${settings.maxBytes} bytes`));
+      return;
+    }
+
+    const chunks = [];
+    let received = 0;
+    response.on('data', (chunk) => {
+      received += chunk.length;
+      if (received > settings.maxBytes) {
+        fail(new ImageFetchError('too_large', `${url.href} is larger than ${settings.maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(readTimer);
+      resolve({ buffer: Buffer.concat(chunks) });
+    });
+    response.on('error', (error) => {
+      fail(new ImageFetchError('network_error', `Failed to download ${url.href}: ${error.message}`));
+    });
+  });
+
+  request.on('error', (error) => {
+    fail(new ImageFetchError('network_error', `Failed to fetch ${url.href}: ${error.message}`));
+  });
+});
+
+// Settle with the promise, or reject with createError() when it takes longer than `ms`
+const withTimeout = (promise, ms, createError) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(createError()), ms);
+  promise.then(
+    (value) => {
+      clearTimeout(timer);
+      resolve(value);
+    },
+    (error) => {
+      clearTimeout(timer);
+      reject(error);
+    }
+  );
+});
+
+const fetchRemote = async (url, settings) => {
+  let current = url;
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    if (current.protocol !== 'http:' && current.protocol !== 'https:') {
+      throw new ImageFetchError('unsupported_protocol', `Unsupported image URL protocol "${current.protocol}"`);
+    }
+    // Each redirect hop is checked like the original URL
+    if (!isHostAllowed(current.hostname.toLowerCase(), settings.allowlist)) {
+      throw new ImageFetchError('host_not_allowed', `Host "${current.hostname}" is not in the image host allowlist`);
+    }
+    // The connect timeout covers the DNS lookup as well as the connection
+    const started = Date.now();
+    const target = await withTimeout(
+      resolvePublicAddress(current.hostname),
+      settings.connectTimeout,
+      () => new ImageFetchError('connect_timeout', `Resolving ${current.hostname} took longer than ${settings.connectTimeout}ms`)
+    );
+    const result = await requestOnce(current, target, {
+      ...settings,
+      connectTimeout: Math.max(1, settings.connectTimeout - (Date.now() - started))
+    });
+    if (!result.redirect) {
+      return result.buffer;
+    }
+    current = result.redirect;
+  }
+  throw new ImageFetchError('too_many_redirects', `${url.href} redirected more than ${MAX_REDIRECTS} times`);
+};
+
+// Load the bytes of an image source: a data URI, an /uploads path or URL on this server,
+// or a public http(s) URL. Rejects with an ImageFetchError explaining why a source was refused.
+export const fetchImageBuffer = async (src) => {
+  const settings = getSettings();
+  const source = String(src || '').trim();
+
+  if (!source) {
+    throw new ImageFetchError('invalid_source', 'Image source is empty');
+  }
+  if (source.startsWith('data:')) {
+    return readDataUri(source, settings);
+  }
+
+  const uploadPath = resolveUploadPath(source);
+  if (uploadPath) {
+    return readUpload(uploadPath, settings);
+  }
+  if (source.startsWith('/uploads/')) {
+    throw new ImageFetchError('not_found', 'Upload path does not name a file');
+  }
+
+  let url;
+  try {
+    url = new URL(source);
+  } catch (error) {
+    throw new ImageFetchError('invalid_source', 'Image source must be an http(s) URL, a data URI or an /uploads path');
+  }
+
+  return fetchRemote(url, settings);
+};
@@ -0,0 +1,146 @@
+import { createCanvas, loadImage } from 'canvas';
+import sharp from 'sharp';
+import { MAX_OUTPUT_PIXELS, RenderOptionsError } from '../utils/renderOptions.js';
+
+// Color treatment for image elements. node-canvas has no ctx.filter, so filtered images
+// are re-encoded: color adjustments run over the raw pixels and blur goes through sharp.
+//
+// element.data.filters:
+//   grayscale: true or 0-1 (amount)
+//   brightness: multiplier, 1 = unchanged
+//   contrast: multiplier, 1 = unchanged
+//   duotone: [shadowColor, highlightColor], mapping luminance onto the two colors
+//   blur: radius in output pixels
+
+const LUMA = [0.2126, 0.7152, 0.0722];
+
+// Resolve any CSS color to [r, g, b] by letting canvas parse it
+const parseColor = (color) => {
+  const ctx = createCanvas(1, 1).getContext('2d');
+  ctx.fillStyle = '#000000';
+  ctx.fillStyle = String(color);
+  ctx.fillRect(0, 0, 1, 1);
+  const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+  return [r, g, b];
+};
+
+const toAmount = (value) => {
+  if (value === true) return 1;
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(0, Math.min(1, number)) : 0;
+};
+
+const toMultiplier = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : 1;
+};
+
+// Normalize element.data.filters, or null when nothing would change the image
+export const resolveImageFilters = (filters) => {
+  if (!filters || typeof filters !== 'object') {
+    return null;
+  }
+
+  const resolved = {
+    grayscale: toAmount(filters.grayscale),
+    brightness: toMultiplier(filters.brightness ?? 1),
+    contrast: toMultiplier(filters.contrast ?? 1),
+    duotone: null,
+    blur: Math.max(0, Number(filters.blur) || 0)
+  };
+
+  if (Array.isArray(filters.duotone) && filters.duotone.length === 2) {
+    resolved.duotone = filters.duotone.map(parseColor);
+  } else if (filters.duotone) {
+    console.warn('Ignoring duotone filter: expected [shadowColor, highlightColor]');
+  }
+
+  const changesImage = resolved.grayscale > 0 || resolved.brightness !== 1 || resolved.contrast !== 1 ||
+    resolved.duotone || resolved.blur > 0;
+  return changesImage ? resolved : null;
+};
+
+const adjustPixels = (pixels, { grayscale, brightness, contrast, duotone }) => {
+  const [dark, light] = duotone || [];
+
+  for (let i = 0; i < pixels.length; i += 4) {
+    let r = pixels[i];
+    let g = pixels[i + 1];
+    let b = pixels[i + 2];
+
+    if (grayscale > 0) {
+      const luma = r * LUMA[0] + g * LUMA[1] + b * LUMA[2];
+      r += (luma - r) * grayscale;
+      g += (luma - g) * grayscale;
+      b += (luma - b) * grayscale;
+    }
+
+    if (brightness !== 1) {
+      r *= brightness;
+      g *= brightness;
+      b *= brightness;
+    }
+
+    if (contrast !== 1) {
+      r = (r - 128) * contrast + 128;
+      g = (g - 128) * contrast + 128;
+      b = (b - 128) * contrast + 128;
+    }
+
+    if (duotone) {
+      const t = Math.max(0, Math.min(255, r * LUMA[0] + g * LUMA[1] + b * LUMA[2])) / 255;
+      r = dark[0] + (light[0] - dark[0]) * t;
+      g = dark[1] + (light[1] - dark[1]) * t;
+      b = dark[2] + (light[2] - dark[2]) * t;
+    }
+
+    // Clamped array, so out-of-range values saturate
+    pixels[i] = r;
+    pixels[i + 1] = g;
+    pixels[i + 2] = b;
+  }
+};
+
+// Return a filtered copy of `region` ({ x, y, width, height } in source pixels) of a loaded
+// image, resampled to width x height output pixels so blur radii and processing cost follow
+// the size the image is drawn at. Throws a RenderOptionsError above the output pixel limit.
+export const applyImageFilters = async (image, filters, region, width, height) => {
+  const targetWidth = Math.max(1, Math.round(width));
+  const targetHeight = Math.max(1, Math.round(height));
+  if (targetWidth * targetHeight > MAX_OUTPUT_PIXELS) {
+    throw new RenderOptionsError(
+      `Filtered image of ${targetWidth}x${targetHeight} is too large (max ${MAX_OUTPUT_PIXELS} pixels)`
+    );
+  }
+
+  const source = createCanvas(Math.max(1, Math.round(region.width)), Math.max(1, Math.round(region.height)));
+  source.getContext('2d').drawImage(
+    image,
+    region.x,
+    region.y,
+    region.width,
+    region.height,
+    0,
+    0,
+    source.width,
+    source.height
+  );
+
+  const { data, info } = await sharp(source.toBuffer('image/png'))
+    .resize(targetWidth, targetHeight, { fit: 'fill' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  if (filters.grayscale > 0 || filters.brightness !== 1 || filters.contrast !== 1 || filters.duotone) {
+    adjustPixels(new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), filters);
+  }
+
+  let pipeline = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+  if (filters.blur > 0) {
+    // Like CSS blur(), the radius is the Gaussian standard deviation (sharp's sigma)
+    pipeline = pipeline.blur(Math.max(0.3, filters.blur));
+  }
+
+  return loadImage(await pipeline.png().toBuffer());
+};
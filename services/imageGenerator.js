@@ -1,75 +1,380 @@
-import { createCanvas, loadImage, registerFont } from 'canvas';
+import { createCanvas, registerFont } from 'canvas';
+import sharp from 'sharp';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fontManager from '../utils/fontManager.js';
+import { SvgCanvas } from '../utils/svgCanvas.js';
+import { createGradient, isGradientSpec } from '../utils/gradients.js';
+import { IMAGE_FITS, fitImage } from '../utils/imageFit.js';
+import { OUTPUT_FORMATS, RenderOptionsError } from '../utils/renderOptions.js';
+import { parseRichText, plainTextRuns, escapeRichText } from '../utils/richText.js';
+import { interpolate } from '../utils/interpolate.js';
+import { isElementVisible } from '../utils/visibility.js';
+import { applyElementBindings } from '../utils/bindings.js';
+import { resolveRepeaterItems, itemParams, layoutRepeater } from '../utils/repeater.js';
+import { isAnimated, resolveFrames, animationLoop, animateElement } from '../utils/animation.js';
+import { layoutText, drawLayoutLine, loadHyphenator } from './textLayout.js';
+import { SHAPE_TYPES, drawShapeElement, traceRoundedRect } from './shapeRenderer.js';
+import { BARCODE_FONT_FAMILY, drawQrCodeElement, drawBarcodeElement } from './codeRenderer.js';
+import { CHART_TYPES, CHART_FONT_FAMILY, drawChartElement } from './chartRenderer.js';
+import { resolveImageFilters, applyImageFilters } from './imageFilters.js';
+import { ImageFetchError } from './imageFetcher.js';
+import { imageCache } from './imageCache.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Generate PNG image using canvas library
-export const generateCanvasImage = async (config, elements, params = {}) => {
-  try {
-    // Create canvas with specified dimensions
-    const canvas = createCanvas(config.width || 800, config.height || 600);
-    const ctx = canvas.getContext('2d');
-    
-    // Set white background
+// Create the drawing surface for an output format. PDF uses cairo's vector surface and
+// SVG uses a recording context, so both keep text as real text with embedded fonts.
+const createRenderCanvas = (width, height, format) => {
+  switch (format) {
+    case 'pdf':
+      return createCanvas(width, height, 'pdf');
+    case 'svg':
+      return new SvgCanvas(width, height);
+    default:
+      return createCanvas(width, height);
+  }
+};
+
+// Register every font the text elements use before the canvas is created,
+// which node-canvas requires for fonts to be picked up by vector surfaces
+const preloadFonts = async (elements) => {
+  const defaultFonts = {
+    text: 'Arial, sans-serif',
+    barcode: BARCODE_FONT_FAMILY,
+    ...Object.fromEntries(CHART_TYPES.map(type => [type, CHART_FONT_FAMILY]))
+  };
+  // Repeater sub-templates use fonts too
+  const flatten = (list) => list.flatMap(element => (element.data?.type === 'repeater' && Array.isArray(element.data.template)
+    ? [element, ...flatten(element.data.template)]
+    : [element]));
+  const families = new Set(
+    flatten(elements)
+      .map(element => element.data?.fontFamily || defaultFonts[element.data?.type])
+      .filter(Boolean)
+  );
+
+  for (const fontFamily of families) {
+    await fontManager.ensureFontAvailable(fontFamily);
+  }
+};
+
+// Encode a finished canvas into the requested output format
+const encodeCanvas = async (canvas, { format = 'png', quality = 80 } = {}) => {
+  switch (format) {
+    case 'pdf':
+      return canvas.toBuffer('application/pdf', { creator: 'Dynamic Canvas Studio' });
+    case 'svg':
+      return canvas.toBuffer();
+    case 'jpeg':
+      return canvas.toBuffer('image/jpeg', { quality: quality / 100 });
+    case 'webp':
+      // node-canvas has no WebP encoder, so transcode the lossless PNG output
+      return sharp(canvas.toBuffer('image/png')).webp({ quality }).toBuffer();
+    case 'gif':
+      return sharp(canvas.toBuffer('image/png')).gif().toBuffer();
+    default:
+      return canvas.toBuffer('image/png');
+  }
+};
+
+// Blend modes accepted for element.data.blendMode (canvas globalCompositeOperation values)
+const BLEND_MODES = new Set([
+  'source-over', 'source-atop', 'destination-over', 'destination-out', 'lighter', 'xor',
+  'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+  'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'
+]);
+
+// Box occupied by an element, using the same defaults as the element drawers
+const getElementBox = (element) => {
+  const { data } = element;
+  const defaults = {
+    text: [400, (data.fontSize || 16) * 1.2],
+    image: [150, 100],
+    qrcode: [150, 150],
+    barcode: [300, 120],
+    progressbar: [300, 24],
+    gauge: [200, 200],
+    barchart: [400, 200],
+    sparkline: [300, 80]
+  }[data.type] || [100, 100];
+  
+  return {
+    x: element.x,
+    y: element.y,
+    width: data.width || defaults[0],
+    height: data.height || defaults[1]
+  };
+};
+
+// Rotate the context by `rotation` degrees clockwise around the center of `box`
+const rotateAroundCenter = (ctx, rotation, box) => {
+  const centerX = box.x + box.width / 2;
+  const centerY = box.y + box.height / 2;
+  ctx.translate(centerX, centerY);
+  ctx.rotate((Number(rotation) * Math.PI) / 180);
+  ctx.translate(-centerX, -centerY);
+};
+
+// Text without a fixed height is as tall as its laid-out lines, so drawTextElement rotates it
+const rotatesAfterLayout = ({ data }) => data.type === 'text' && !data.height;
+
+// Apply per-element rotation (degrees, clockwise around the element center),
+// opacity (0-1) and blend mode to the context before the element is drawn
+const applyElementEffects = (ctx, element) => {
+  const { rotation, opacity, blendMode } = element.data;
+  
+  if (rotation && !rotatesAfterLayout(element)) {
+    rotateAroundCenter(ctx, rotation, getElementBox(element));
+  }
+  
+  if (opacity !== undefined && opacity !== null && !isNaN(Number(opacity))) {
+    ctx.globalAlpha = Math.max(0, Math.min(1, Number(opacity)));
+  }
+  
+  if (blendMode) {
+    const mode = blendMode === 'normal' ? 'source-over' : blendMode;
+    if (BLEND_MODES.has(mode)) {
+      ctx.globalCompositeOperation = mode;
+    } else {
+      console.warn(`Ignoring unsupported blend mode "${blendMode}" on element ${element.id}`);
+    }
+  }
+};
+
+// Paint the template background: a color (default white), a gradient, or nothing when
+// config.backgroundColor is 'transparent', then the background image fitted per
+// config.backgroundFit (stretch by default) and config.backgroundPosition
+const drawBackground = async (ctx, config, width, height, format = 'png', context = {}) => {
+  const canvasBox = { x: 0, y: 0, width, height };
+  const transparent = config.backgroundColor === 'transparent' || config.backgroundColor === 'none';
+
+  // Formats without an alpha channel still get white behind a transparent background
+  if (transparent && OUTPUT_FORMATS[format]?.alpha === false) {
     ctx.fillStyle = 'white';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  const gradient = isGradientSpec(config.backgroundGradient)
+    ? createGradient(ctx, config.backgroundGradient, canvasBox)
+    : null;
+  if (gradient) {
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+  } else if (!transparent) {
+    ctx.fillStyle = config.backgroundColor || 'white';
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  if (!config.backgroundImage) {
+    return;
+  }
+
+  try {
+    const bgImage = await imageCache.load(config.backgroundImage);
+    const fit = IMAGE_FITS.includes(config.backgroundFit) ? config.backgroundFit : 'stretch';
+    const target = fitImage(bgImage.width, bgImage.height, canvasBox, {
+      fit,
+      position: config.backgroundPosition
+    });
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, width, height);
+    ctx.clip();
+    ctx.drawImage(bgImage, target.x, target.y, target.width, target.height);
+    ctx.restore();
+  } catch (error) {
+    const reason = error instanceof ImageFetchError ? error.reason : 'load_failed';
+    console.warn(`Failed to load background image (${reason}):`, error.message);
+    context.warnings?.push(`background image not loaded (${reason})`);
+  }
+};
+
+// Dispatch an element to the drawer for its type
+// `context` carries the render parameters, locale and time zone used to format text
+const drawElement = async (ctx, element, variableValue, context) => {
+  const { type } = element.data;
+  
+  if (type === 'text') {
+    await drawTextElement(ctx, element, variableValue, context);
+  } else if (type === 'image') {
+    await drawImageElement(ctx, element, variableValue, context);
+  } else if (type === 'qrcode') {
+    drawQrCodeElement(ctx, element, variableValue);
+  } else if (type === 'barcode') {
+    await drawBarcodeElement(ctx, element, variableValue);
+  } else if (CHART_TYPES.includes(type)) {
+    await drawChartElement(ctx, element, variableValue, context);
+  } else if (type === 'repeater') {
+    await drawRepeaterElement(ctx, element, variableValue, context);
+  } else if (SHAPE_TYPES.includes(type)) {
+    drawShapeElement(ctx, element);
+  } else {
+    console.warn(`Skipping element ${element.id}: unsupported type "${type}"`);
+  }
+};
+
+// Draw a list of elements with context.params: bound properties are resolved, hidden
+// elements skipped, and the rest drawn in z-order (equal zIndex keeps template order)
+// When context.time is set (animated output) elements are shown as they are at that time.
+const drawElements = async (ctx, elements, context) => {
+  const { params, time } = context;
+  const orderedElements = elements
+    .map(element => applyElementBindings(element, params))
+    .map(element => (time === undefined ? element : animateElement(element, time)))
+    .filter(element => isElementVisible(element, params))
+    .sort((a, b) => (Number(a.data?.zIndex) || 0) - (Number(b.data?.zIndex) || 0));
+  
+  for (const element of orderedElements) {
+    // Elements without a variable never take a parameter, so ?undefined=... changes nothing
+    const variableValue = element.variableName && Object.hasOwn(params, element.variableName)
+      ? params[element.variableName]
+      : undefined;
     
-    // Add background image if provided
-    if (config.backgroundImage) {
-      try {
-        const bgImage = await loadImage(config.backgroundImage);
-        ctx.drawImage(bgImage, 0, 0, canvas.width, canvas.height);
-      } catch (error) {
-        console.warn('Failed to load background image:', error.message);
-      }
+    ctx.save();
+    try {
+      applyElementEffects(ctx, element);
+      await drawElement(ctx, element, variableValue, context);
+    } finally {
+      ctx.restore();
     }
-    
-    // Draw elements
-    for (const element of elements) {
-      const variableValue = params[element.variableName];
-      
-      if (element.data.type === 'text') {
-        await drawTextElement(ctx, element, variableValue);
-      } else if (element.data.type === 'image') {
-        await drawImageElement(ctx, element, variableValue);
-      }
+  }
+};
+
+// Draw a repeater's sub-template once per entry of its array (see utils/repeater.js)
+const drawRepeaterElement = async (ctx, element, variableValue, context) => {
+  const { data } = element;
+  if (!Array.isArray(data.template) || data.template.length === 0) {
+    console.warn(`Skipping repeater ${element.id}: it has no template elements`);
+    return;
+  }
+  
+  const entries = resolveRepeaterItems(element, variableValue);
+  const { boxes, overflow } = layoutRepeater(data, entries.length);
+  
+  if (overflow === 'clip' && boxes.length > 0) {
+    const right = Math.max(...boxes.map(box => box.x + box.width));
+    const bottom = Math.max(...boxes.map(box => box.y + box.height));
+    ctx.beginPath();
+    ctx.rect(element.x, element.y, data.width || right, data.height || bottom);
+    ctx.clip();
+  }
+  
+  for (const box of boxes) {
+    const params = itemParams(context.params, entries[box.index], box.index, entries.length);
+    ctx.save();
+    try {
+      ctx.translate(element.x + box.x, element.y + box.y);
+      await drawElements(ctx, data.template, { ...context, params });
+    } finally {
+      ctx.restore();
     }
-    
-    // Return PNG buffer
-    return canvas.toBuffer('image/png');
-  } catch (error) {
-    console.error('Error generating canvas image:', error);
-    throw error;
   }
 };
 
-// Helper function to wrap text
-const wrapText = (ctx, text, maxWidth) => {
-  const words = text.split(' ');
-  const lines = [];
-  let currentLine = words[0];
+// Draw one frame of a template: background and elements, scaled to the output size
+const renderFrame = async (config, elements, options, context) => {
+  const templateWidth = config.width || 800;
+  const templateHeight = config.height || 600;
+  const canvas = createRenderCanvas(
+    options.width || templateWidth,
+    options.height || templateHeight,
+    options.format
+  );
+  const ctx = canvas.getContext('2d');
+  
+  // Elements are positioned in template pixels
+  if (canvas.width !== templateWidth || canvas.height !== templateHeight) {
+    ctx.scale(canvas.width / templateWidth, canvas.height / templateHeight);
+  }
+  
+  await drawBackground(ctx, config, templateWidth, templateHeight, options.format, context);
+  await drawElements(ctx, elements, context);
+  return canvas;
+};
 
-  for (let i = 1; i < words.length; i++) {
-    const word = words[i];
-    const width = ctx.measureText(currentLine + ' ' + word).width;
-    if (width < maxWidth) {
-      currentLine += ' ' + word;
-    } else {
-      lines.push(currentLine);
-      currentLine = word;
-    }
+// Render every frame of an animated template and encode them as an animated GIF or WebP.
+// Frames are drawn with their own parameters, the animation time and `now` advanced to it.
+const renderAnimation = async (config, elements, params, options, context) => {
+  const width = options.width || config.width || 800;
+  const height = options.height || config.height || 600;
+  const frames = resolveFrames(config, params, { width, height });
+  
+  const pixels = [];
+  for (const frame of frames) {
+    const canvas = await renderFrame(config, elements, options, {
+      ...context,
+      params: frame.params,
+      time: frame.time,
+      now: context.now + frame.time
+    });
+    const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+    pixels.push(Buffer.from(data.buffer, data.byteOffset, data.byteLength));
   }
-  lines.push(currentLine);
-  return lines;
+  
+  const animation = sharp(Buffer.concat(pixels), {
+    raw: { width, height: height * frames.length, channels: 4, pageHeight: height }
+  });
+  const animationOptions = { loop: animationLoop(config), delay: frames.map(frame => frame.delay) };
+  return options.format === 'webp'
+    ? animation.webp({ ...animationOptions, quality: options.quality || 80 }).toBuffer()
+    : animation.gif(animationOptions).toBuffer();
 };
 
-const drawTextElement = async (ctx, element, variableValue) => {
+// Generate an image using canvas library.
+// options.format is one of png, jpeg, webp, gif, pdf or svg; options.quality is 1-100 for lossy formats.
+// options.width/height set the output pixel size (see resolveOutputSize); the template is
+// drawn scaled to it, so text and vector content stay sharp at any size.
+// options.locale is used by variable formatters in text content and options.now (ms) is the
+// time countdowns count from.
+// Element properties listed in `bindings` are taken from params (see utils/bindings.js); config
+// bindings are resolved by the caller, since they can change the output size.
+// Templates with config.animation render every frame for gif and webp (see utils/animation.js);
+// other formats show the template without animation.
+// Resolves with { buffer, warnings }: warnings name the images that could not be loaded and
+// were drawn as placeholders, so the caller can keep such renders out of caches.
+export const generateCanvasImage = async (config, elements, params = {}, options = {}) => {
   try {
-    const text = variableValue || element.data.content || `{${element.variableName}}`;
+    // Bound properties take their values from the parameters before anything is measured
+    await preloadFonts(elements.map(element => applyElementBindings(element, params)));
+    
+    const context = {
+      params,
+      locale: options.locale || config.locale,
+      timeZone: config.timeZone,
+      now: options.now ?? Date.now(),
+      warnings: []
+    };
+    
+    const buffer = isAnimated(config) && OUTPUT_FORMATS[options.format]?.animated
+      ? await renderAnimation(config, elements, params, options, context)
+      : await encodeCanvas(await renderFrame(config, elements, options, context), options);
+    // Animation frames repeat the same failures
+    return { buffer, warnings: [...new Set(context.warnings)] };
+  } catch (error) {
+    console.error('Error generating canvas image:', error);
+    throw error;
+  }
+};
+
+const drawTextElement = async (ctx, element, variableValue, context = {}) => {
+  try {
+    // The element's own variable replaces the content; otherwise {name} placeholders in
+    // the content are filled from the render parameters. Variable values are shown literally
+    // in rich text unless data.allowVariableMarkup opts in to markup from them.
+    const escapeValue = element.data.richText && !element.data.allowVariableMarkup
+      ? escapeRichText
+      : (value) => value;
+    const text = (variableValue && escapeValue(String(variableValue))) || (element.data.content
+      ? interpolate(element.data.content, context.params, {
+          escape: escapeValue,
+          locale: context.locale,
+          timeZone: context.timeZone,
+          now: context.now
+        })
+      : `{${element.variableName}}`);
     
     // Set font properties
     const fontSize = element.data.fontSize || 16;
@@ -79,34 +384,45 @@ const drawTextElement = async (ctx, element, variableValue) => {
     // Get the appropriate font using fontManager
     const resolvedFont = await fontManager.ensureFontAvailable(fontFamily);
     
-    // Set font with proper fallbacks
-    let fontString;
-    if (resolvedFont === 'Arial' || resolvedFont === 'Arial, sans-serif') {
-      // For Arial, don't use quotes to ensure system font is used
-      fontString = `${fontWeight} ${fontSize}px Arial, sans-serif`;
-    } else {
-      // For other fonts, use quotes and fallbacks
-      fontString = `${fontWeight} ${fontSize}px "${resolvedFont}", Arial, DejaVu Sans, Liberation Sans, sans-serif`;
-    }
-    ctx.font = fontString;
-    console.log(`Using font string: ${fontString}`);
-    ctx.fillStyle = element.data.color || '#000000';
+    // Set font with proper fallbacks; inline markup can switch spans to bold or italic
+    const getFont = (size, style = {}) => fontManager.getFontString(
+      resolvedFont,
+      size,
+      style.bold ? 'bold' : fontWeight,
+      style.italic ? 'italic' : (element.data.fontStyle || 'normal')
+    );
+    console.log(`Using font string: ${getFont(fontSize)}`);
     ctx.textAlign = element.data.textAlign || 'left';
     ctx.textBaseline = 'top';
 
     // Use actual element width if available, otherwise fall back to default
     const elementWidth = element.data.width || 400;
     const maxWidth = element.data.maxWidth || elementWidth;
-    const lines = text.includes('\n') ? text.split('\n') : [text];
+    const letterSpacing = Number(element.data.letterSpacing) || 0;
     
-    let allLines = [];
-    lines.forEach(line => {
-      if (ctx.measureText(line).width > maxWidth) {
-        allLines = allLines.concat(wrapText(ctx, line, maxWidth));
-      } else {
-        allLines.push(line);
-      }
+    const runs = element.data.richText ? parseRichText(text) : plainTextRuns(text);
+    const layout = layoutText(ctx, runs, {
+      fontSize,
+      getFont,
+      maxWidth,
+      height: element.data.height,
+      lineHeight: element.data.lineHeight,
+      letterSpacing,
+      maxLines: element.data.maxLines,
+      autoFit: element.data.autoFit,
+      minFontSize: element.data.minFontSize,
+      hyphenate: element.data.hyphenate ? await loadHyphenator(element.data.language) : null
     });
+    const { lines: allLines, lineHeight } = layout;
+
+    if (element.data.rotation && rotatesAfterLayout(element)) {
+      rotateAroundCenter(ctx, element.data.rotation, {
+        x: element.x,
+        y: element.y,
+        width: elementWidth,
+        height: layout.blockHeight
+      });
+    }
 
     // Calculate x position based on text alignment using actual element width
     const getXPosition = (line, textAlign, elementX, elementWidth) => {
@@ -120,34 +436,78 @@ const drawTextElement = async (ctx, element, variableValue) => {
       }
     };
 
+    // Vertical alignment of the text block within the element height
+    let blockTop = element.y;
+    if (element.data.height) {
+      if (element.data.verticalAlign === 'middle') {
+        blockTop = element.y + (element.data.height - layout.blockHeight) / 2;
+      } else if (element.data.verticalAlign === 'bottom') {
+        blockTop = element.y + element.data.height - layout.blockHeight;
+      }
+    }
+    
+    const textAlign = element.data.textAlign || 'left';
+    const linePositions = allLines.map((line, index) => ({
+      line,
+      x: getXPosition(line, textAlign, element.x, elementWidth),
+      // Center the glyphs within each line box, as CSS line-height does
+      y: blockTop + (index * lineHeight) + (lineHeight - layout.fontSize * 1.2) / 2
+    }));
+    
+    // Fill with a gradient spanning the whole text block, or a flat color
+    const fillStyle = isGradientSpec(element.data.gradient)
+      ? createGradient(ctx, element.data.gradient, {
+          x: element.x,
+          y: blockTop,
+          width: elementWidth,
+          height: layout.blockHeight
+        })
+      : null;
+    
     // Get stroke properties
     const strokeWidth = element.data.strokeWidth || 0;
     const strokeColor = element.data.strokeColor || '#000000';
+    const hasShadow = Boolean(element.data.shadowColor) &&
+      Boolean(element.data.shadowBlur || element.data.shadowOffsetX || element.data.shadowOffsetY);
     
-    // Draw each line with proper alignment using element width
-    allLines.forEach((line, index) => {
-      const xPos = getXPosition(line, element.data.textAlign || 'left', element.x, elementWidth);
-      const yPos = element.y + (index * fontSize * 1.2);
-      
-      // Draw stroke effect using shadow technique (mimics frontend textShadow)
-      if (strokeWidth > 0) {
-        ctx.fillStyle = strokeColor;
-        
-        // Draw text in 8 directions to create stroke effect
-        const offsets = [
-          [-strokeWidth, 0], [strokeWidth, 0], [0, -strokeWidth], [0, strokeWidth],
-          [-strokeWidth, -strokeWidth], [strokeWidth, strokeWidth], 
-          [-strokeWidth, strokeWidth], [strokeWidth, -strokeWidth]
-        ];
-        
-        offsets.forEach(([offsetX, offsetY]) => {
-          ctx.fillText(line, xPos + offsetX, yPos + offsetY, maxWidth);
-        });
-      }
-      
-      // Draw main text on top
-      ctx.fillStyle = element.data.color || '#000000';
-      ctx.fillText(line, xPos, yPos, maxWidth);
+    const applyShadow = () => {
+      ctx.shadowColor = element.data.shadowColor;
+      ctx.shadowBlur = element.data.shadowBlur || 0;
+      ctx.shadowOffsetX = element.data.shadowOffsetX || 0;
+      ctx.shadowOffsetY = element.data.shadowOffsetY || 0;
+    };
+    
+    const clearShadow = () => {
+      ctx.shadowColor = 'rgba(0, 0, 0, 0)';
+      ctx.shadowBlur = 0;
+      ctx.shadowOffsetX = 0;
+      ctx.shadowOffsetY = 0;
+    };
+    
+    const lineOptions = { getFont, fontSize: layout.fontSize, letterSpacing, maxWidth };
+    
+    // Outline pass: the stroke is centered on the glyph edge, so double the width and
+    // cover the inner half with the fill to get an outline of strokeWidth outside the glyphs
+    if (strokeWidth > 0) {
+      if (hasShadow) applyShadow();
+      ctx.strokeStyle = strokeColor;
+      ctx.lineWidth = strokeWidth * 2;
+      ctx.lineJoin = 'round';
+      ctx.miterLimit = 2;
+      linePositions.forEach(({ line, x, y }) => {
+        drawLayoutLine(ctx, line, x, y, { ...lineOptions, mode: 'stroke' });
+      });
+    }
+    
+    // Fill pass; the shadow goes here only when there is no outline to carry it
+    if (hasShadow && strokeWidth <= 0) {
+      applyShadow();
+    } else {
+      clearShadow();
+    }
+    const baseFill = fillStyle || element.data.color || '#000000';
+    linePositions.forEach(({ line, x, y }) => {
+      drawLayoutLine(ctx, line, x, y, { ...lineOptions, fillFor: (style) => style.color || baseFill });
     });
   } catch (error) {
     console.error('Error drawing text element:', error);
@@ -159,7 +519,28 @@ const drawTextElement = async (ctx, element, variableValue) => {
   }
 };
 
-const drawImageElement = async (ctx, element, variableValue) => {
+// Trace the outline an image element is clipped to: 'circle' (centered, fitting the
+// shorter side), 'ellipse', or a rectangle with optional rounded corners
+const traceImageMask = (ctx, box, mask, cornerRadius) => {
+  if (mask === 'circle') {
+    const radius = Math.max(0, Math.min(box.width, box.height) / 2);
+    ctx.arc(box.x + box.width / 2, box.y + box.height / 2, radius, 0, Math.PI * 2);
+  } else if (mask === 'ellipse') {
+    ctx.ellipse(
+      box.x + box.width / 2,
+      box.y + box.height / 2,
+      Math.max(0, box.width / 2),
+      Math.max(0, box.height / 2),
+      0,
+      0,
+      Math.PI * 2
+    );
+  } else {
+    traceRoundedRect(ctx, box.x, box.y, box.width, box.height, mask === 'rounded' ? cornerRadius : 0);
+  }
+};
+
+const drawImageElement = async (ctx, element, variableValue, context = {}) => {
   try {
     const imageSrc = variableValue || element.data.src;
     
@@ -182,64 +563,95 @@ const drawImageElement = async (ctx, element, variableValue) => {
       return;
     }
 
-    const img = await loadImage(imageSrc);
-    const width = element.data.width || img.width;
-    const height = element.data.height || img.height;
+    const img = await imageCache.load(imageSrc);
+    const box = {
+      x: element.x,
+      y: element.y,
+      width: element.data.width || img.width,
+      height: element.data.height || img.height
+    };
     
-    // Handle object-fit property
+    // Handle object-fit property; unknown values stretch to fill as before
     const objectFit = element.data.objectFit || 'cover';
+    const target = fitImage(img.width, img.height, box, {
+      fit: IMAGE_FITS.includes(objectFit) ? objectFit : 'stretch',
+      position: element.data.objectPosition,
+      focalPoint: element.data.focalPoint
+    });
     
-    if (objectFit === 'cover') {
-      // Calculate scaling to cover the entire area
-      const scaleX = width / img.width;
-      const scaleY = height / img.height;
-      const scale = Math.max(scaleX, scaleY);
-      
-      const scaledWidth = img.width * scale;
-      const scaledHeight = img.height * scale;
-      
-      const offsetX = (width - scaledWidth) / 2;
-      const offsetY = (height - scaledHeight) / 2;
-      
-      ctx.save();
+    // Filtered copies are made of the part inside the element box only, at the resolution
+    // it ends up at on the output
+    const filters = resolveImageFilters(element.data.filters);
+    let image = img;
+    let drawn = target;
+    if (filters) {
+      const left = Math.max(target.x, box.x);
+      const top = Math.max(target.y, box.y);
+      const visible = {
+        x: left,
+        y: top,
+        width: Math.min(target.x + target.width, box.x + box.width) - left,
+        height: Math.min(target.y + target.height, box.y + box.height) - top
+      };
+      if (visible.width > 0 && visible.height > 0) {
+        const { a, b, c, d } = ctx.getTransform();
+        const scaleX = Math.hypot(a, b);
+        const scaleY = Math.hypot(c, d);
+        const sourceScaleX = img.width / target.width;
+        const sourceScaleY = img.height / target.height;
+        image = await applyImageFilters(
+          img,
+          { ...filters, blur: filters.blur * (scaleX + scaleY) / 2 },
+          {
+            x: (visible.x - target.x) * sourceScaleX,
+            y: (visible.y - target.y) * sourceScaleY,
+            width: visible.width * sourceScaleX,
+            height: visible.height * sourceScaleY
+          },
+          visible.width * scaleX,
+          visible.height * scaleY
+        );
+        drawn = visible;
+      }
+    }
+    
+    const mask = element.data.mask || (element.data.cornerRadius ? 'rounded' : 'none');
+    const cornerRadius = element.data.cornerRadius || 0;
+    
+    ctx.save();
+    ctx.beginPath();
+    traceImageMask(ctx, box, mask, cornerRadius);
+    ctx.clip();
+    ctx.drawImage(image, drawn.x, drawn.y, drawn.width, drawn.height);
+    ctx.restore();
+    
+    // Border follows the mask and sits inside the element box
+    const borderWidth = Number(element.data.borderWidth) || 0;
+    if (borderWidth > 0) {
+      const inset = borderWidth / 2;
       ctx.beginPath();
-      ctx.rect(element.x, element.y, width, height);
-      ctx.clip();
-      
-      ctx.drawImage(
-        img,
-        element.x + offsetX,
-        element.y + offsetY,
-        scaledWidth,
-        scaledHeight
-      );
-      
-      ctx.restore();
-    } else if (objectFit === 'contain') {
-      // Calculate scaling to fit within the area
-      const scaleX = width / img.width;
-      const scaleY = height / img.height;
-      const scale = Math.min(scaleX, scaleY);
-      
-      const scaledWidth = img.width * scale;
-      const scaledHeight = img.height * scale;
-      
-      const offsetX = (width - scaledWidth) / 2;
-      const offsetY = (height - scaledHeight) / 2;
-      
-      ctx.drawImage(
-        img,
-        element.x + offsetX,
-        element.y + offsetY,
-        scaledWidth,
-        scaledHeight
+      traceImageMask(
+        ctx,
+        { x: box.x + inset, y: box.y + inset, width: box.width - borderWidth, height: box.height - borderWidth },
+        mask,
+        Array.isArray(cornerRadius) ? cornerRadius.map(radius => Math.max(0, radius - inset)) : Math.max(0, cornerRadius - inset)
       );
-    } else {
-      // Default: stretch to fill
-      ctx.drawImage(img, element.x, element.y, width, height);
+      ctx.strokeStyle = element.data.borderColor || '#000000';
+      ctx.lineWidth = borderWidth;
+      ctx.stroke();
     }
   } catch (error) {
-    console.error('Error drawing image element:', error);
+    // Filter work over the pixel limit fails the render instead of drawing a placeholder
+    if (error instanceof RenderOptionsError) {
+      throw error;
+    }
+    if (error instanceof ImageFetchError) {
+      console.warn(`Image for element ${element.id} was not loaded (${error.reason}): ${error.message}`);
+    } else {
+      console.error('Error drawing image element:', error);
+    }
+    const reason = error instanceof ImageFetchError ? error.reason : 'load_failed';
+    context.warnings?.push(`image ${element.id} not loaded (${reason})`);
     // Draw error placeholder
     ctx.fillStyle = '#ffebee';
     ctx.fillRect(element.x, element.y, element.data.width || 150, element.data.height || 100);
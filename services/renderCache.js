@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import { LruCache } from '../utils/lruCache.js';
+import { numberFromEnv } from '../utils/env.js';
+
+// In-memory cache of rendered outputs. Entries are keyed by template id, the template's
+// updated_at, the versions of the uploads it draws and the normalized render parameters, so
+// an edited template or a replaced upload never serves a stale render; template edits also
+// purge the template's entries to free their memory right away.
+//
+// Configuration (environment):
+//   RENDER_CACHE_MAX_MB       default 128
+//   RENDER_CACHE_MAX_ENTRIES  default 1000
+//   RENDER_CACHE_TTL_MS       default 1 hour, matching the render route's max-age; 0 disables expiry
+
+// Parameters in a stable order, so ?a=1&b=2 and ?b=2&a=1 share an entry
+const normalizeParams = (params = {}) => Object.keys(params)
+  .sort()
+  .map(key => [key, params[key]]);
+
+class RenderCache {
+  constructor() {
+    this.cache = new LruCache({
+      maxEntries: numberFromEnv('RENDER_CACHE_MAX_ENTRIES', 1000),
+      maxSize: numberFromEnv('RENDER_CACHE_MAX_MB', 128) * 1024 * 1024,
+      ttl: numberFromEnv('RENDER_CACHE_TTL_MS', 60 * 60 * 1000, { allowZero: true }),
+      sizeOf: entry => entry.buffer.length
+    });
+  }
+
+  // Cache key for one render; `output` is the resolved variant, locale, format, quality and size
+  // and `uploads` the [path, version] pairs of the uploads it draws (see uploadVersions)
+  keyFor(templateId, updatedAt, params, output, uploads = []) {
+    const version = updatedAt ? new Date(updatedAt).getTime() : 0;
+    const digest = crypto
+      .createHash('sha256')
+      .update(JSON.stringify([
+        version,
+        output.variant,
+        output.locale,
+        output.format,
+        output.quality,
+        output.width,
+        output.height,
+        uploads,
+        normalizeParams(params)
+      ]))
+      .digest('hex');
+    return `${templateId}:${digest}`;
+  }
+
+  get(key) {
+    return this.cache.get(key);
+  }
+
+  // A rendered buffer with its ETag; the ETag is a digest of the bytes, so it is strong
+  entryFor(buffer, mimeType) {
+    return {
+      buffer,
+      mimeType,
+      etag: `"${crypto.createHash('sha256').update(buffer).digest('base64url')}"`
+    };
+  }
+
+  // Store a rendered buffer
+  set(key, buffer, mimeType) {
+    const entry = this.entryFor(buffer, mimeType);
+    this.cache.set(key, entry);
+    return entry;
+  }
+
+  invalidateTemplate(templateId) {
+    return this.cache.deleteWhere(key => key.startsWith(`${templateId}:`));
+  }
+
+  getStats() {
+    return this.cache.getStats();
+  }
+}
+
+// Whether an If-None-Match header matches an ETag (weak comparison, as RFC 9110 requires)
+export const etagMatches = (ifNoneMatch, etag) => {
+  if (!ifNoneMatch || !etag) {
+    return false;
+  }
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch
+    .split(',')
+    .some(candidate => candidate.trim() === '*' || opaque(candidate) === opaque(etag));
+};
+
+export const renderCache = new RenderCache();
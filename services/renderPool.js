@@ -0,0 +1,216 @@
+import { Worker } from 'worker_threads';
+import os from 'os';
+import { numberFromEnv } from '../utils/env.js';
+
+// Pool of worker threads that run generateCanvasImage off the main event loop, so a burst
+// of renders can't starve health checks, the API or the scheduler cron.
+//
+// Configuration (environment):
+//   RENDER_POOL_SIZE    worker threads, default one less than the CPU count (at least 1)
+//   RENDER_QUEUE_LIMIT  renders allowed to wait for a worker, default 100
+//   RENDER_TIMEOUT_MS   limit for one render, default 30000; the worker is replaced after a timeout
+//
+// Renders are rejected with a RenderPoolBusyError (503 with Retry-After) when the queue is full.
+
+const WORKER_URL = new URL('./renderWorker.js', import.meta.url);
+const STATS_TIMEOUT = 1000;
+
+const defaultPoolSize = () => {
+  const cpus = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, cpus - 1);
+};
+
+export class RenderPoolBusyError extends Error {
+  constructor(retryAfter) {
+    super('Render queue is full, try again later');
+    this.name = 'RenderPoolBusyError';
+    this.statusCode = 503;
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class RenderTimeoutError extends Error {
+  constructor(timeout) {
+    super(`Render took longer than ${timeout}ms`);
+    this.name = 'RenderTimeoutError';
+    this.statusCode = 504;
+  }
+}
+
+class RenderPool {
+  constructor() {
+    this.size = Math.max(1, Math.floor(numberFromEnv('RENDER_POOL_SIZE', defaultPoolSize())));
+    this.queueLimit = Math.max(1, Math.floor(numberFromEnv('RENDER_QUEUE_LIMIT', 100)));
+    this.timeout = numberFromEnv('RENDER_TIMEOUT_MS', 30000);
+
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.nextId = 1;
+    this.statsRequests = new Map();
+    // Moving average of render time, used for Retry-After estimates
+    this.averageDuration = 1000;
+    this.stats = { completed: 0, failed: 0, timedOut: 0, rejected: 0 };
+  }
+
+  // Render on a worker thread; resolves with { buffer, warnings } (see generateCanvasImage)
+  render(config, elements, params = {}, options = {}) {
+    if (this.queue.length >= this.queueLimit) {
+      this.stats.rejected++;
+      return Promise.reject(new RenderPoolBusyError(this.retryAfter()));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id: this.nextId++,
+        message: { config, elements, params, options },
+        resolve,
+        reject
+      });
+      this.dispatch();
+    });
+  }
+
+  // Seconds until a queued render would likely get a worker
+  retryAfter() {
+    const waves = Math.ceil((this.queue.length + 1) / this.size);
+    return Math.max(1, Math.ceil((waves * this.averageDuration) / 1000));
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker && this.workers.length < this.size) {
+        worker = this.spawn();
+      }
+      if (!worker) {
+        return;
+      }
+      this.run(worker, this.queue.shift());
+    }
+  }
+
+  spawn() {
+    // Workers split the image cache budget between them
+    const worker = new Worker(WORKER_URL, { workerData: { poolSize: this.size } });
+    worker.job = null;
+    worker.on('message', message => this.handleMessage(worker, message));
+    worker.on('error', error => this.handleExit(worker, error));
+    worker.on('exit', code => this.handleExit(worker, new Error(`Render worker exited with code ${code}`)));
+    this.workers.push(worker);
+    return worker;
+  }
+
+  run(worker, job) {
+    worker.job = job;
+    job.startedAt = Date.now();
+    job.timer = setTimeout(() => this.handleTimeout(worker), this.timeout);
+    worker.postMessage({ type: 'render', id: job.id, ...job.message });
+  }
+
+  handleMessage(worker, message) {
+    if (message.type === 'stats') {
+      this.statsRequests.get(message.requestId)?.(message.images);
+      return;
+    }
+
+    const { job } = worker;
+    if (!job || job.id !== message.id) {
+      return;
+    }
+    clearTimeout(job.timer);
+    worker.job = null;
+    this.averageDuration = this.averageDuration * 0.8 + (Date.now() - job.startedAt) * 0.2;
+
+    if (message.error) {
+      this.stats.failed++;
+      const error = new Error(message.error.message);
+      error.statusCode = message.error.statusCode;
+      job.reject(error);
+    } else {
+      this.stats.completed++;
+      // Buffers arrive as plain Uint8Arrays after crossing the thread boundary
+      const { buffer, warnings } = message;
+      job.resolve({ buffer: Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength), warnings });
+    }
+
+    this.idle.push(worker);
+    this.dispatch();
+  }
+
+  // A stuck render can't be interrupted inside the thread, so the worker is replaced
+  handleTimeout(worker) {
+    const { job } = worker;
+    if (!job) {
+      return;
+    }
+    worker.job = null;
+    this.stats.timedOut++;
+    job.reject(new RenderTimeoutError(this.timeout));
+    this.removeWorker(worker);
+    worker.terminate();
+    this.dispatch();
+  }
+
+  handleExit(worker, error) {
+    if (!this.workers.includes(worker)) {
+      return;
+    }
+    if (worker.job) {
+      clearTimeout(worker.job.timer);
+      this.stats.failed++;
+      console.error('Render worker failed:', error);
+      worker.job.reject(error);
+      worker.job = null;
+    }
+    this.removeWorker(worker);
+    this.dispatch();
+  }
+
+  removeWorker(worker) {
+    this.workers = this.workers.filter(candidate => candidate !== worker);
+    this.idle = this.idle.filter(candidate => candidate !== worker);
+  }
+
+  // Decoded image cache statistics summed over all workers
+  async getImageCacheStats() {
+    const perWorker = await Promise.all(this.workers.map(worker => new Promise((resolve) => {
+      const requestId = this.nextId++;
+      const timer = setTimeout(() => {
+        this.statsRequests.delete(requestId);
+        resolve(null);
+      }, STATS_TIMEOUT);
+      this.statsRequests.set(requestId, (stats) => {
+        clearTimeout(timer);
+        this.statsRequests.delete(requestId);
+        resolve(stats);
+      });
+      worker.postMessage({ type: 'stats', requestId });
+    })));
+
+    const reported = perWorker.filter(Boolean);
+    const totals = { workers: reported.length, hits: 0, misses: 0, evictions: 0, expirations: 0, entries: 0, size: 0, pending: 0 };
+    for (const stats of reported) {
+      for (const key of Object.keys(totals)) {
+        if (key !== 'workers') totals[key] += stats[key] || 0;
+      }
+    }
+    const lookups = totals.hits + totals.misses;
+    totals.hitRate = lookups > 0 ? Number((totals.hits / lookups).toFixed(4)) : 0;
+    return totals;
+  }
+
+  getStats() {
+    return {
+      size: this.size,
+      workers: this.workers.length,
+      busy: this.workers.length - this.idle.length,
+      queued: this.queue.length,
+      queueLimit: this.queueLimit,
+      timeout: this.timeout,
+      ...this.stats
+    };
+  }
+}
+
+export const renderPool = new RenderPool();
@@ -0,0 +1,88 @@
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { numberFromEnv } from '../utils/env.js';
+
+// Rendered images kept on disk in generated/, which server.js serves under /images.
+// Files are named after the template and the render's ETag, so repeating a render
+// reuses its file instead of writing a new one.
+//
+// Configuration (environment):
+//   GENERATED_IMAGES_MAX_MB   total size of stored renders, default 512; the least recently
+//                             saved files are removed beyond it
+//   GENERATED_IMAGES_TTL_MS   files are removed this long after they were last saved,
+//                             default 24 hours; 0 keeps them until the size budget needs room
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const generatedDir = join(__dirname, '..', 'generated');
+
+const MAX_BYTES = numberFromEnv('GENERATED_IMAGES_MAX_MB', 512) * 1024 * 1024;
+const TTL = numberFromEnv('GENERATED_IMAGES_TTL_MS', 24 * 60 * 60 * 1000, { allowZero: true });
+// Minimum time between sweeps of the directory
+const SWEEP_INTERVAL = 60 * 1000;
+
+let lastSweep = 0;
+let sweeping = null;
+
+// Remove expired files, then the oldest ones until the directory fits the size budget
+const sweep = async () => {
+  const now = Date.now();
+  const names = await fs.readdir(generatedDir);
+  const files = (await Promise.all(names.map(async name => {
+    try {
+      const stats = await fs.stat(join(generatedDir, name));
+      return stats.isFile() ? { name, size: stats.size, mtime: stats.mtimeMs } : null;
+    } catch {
+      return null;
+    }
+  }))).filter(Boolean).sort((a, b) => a.mtime - b.mtime);
+
+  let total = files.reduce((sum, file) => sum + file.size, 0);
+  for (const file of files) {
+    if ((TTL === 0 || now - file.mtime <= TTL) && total <= MAX_BYTES) {
+      break;
+    }
+    try {
+      await fs.unlink(join(generatedDir, file.name));
+      total -= file.size;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+};
+
+const scheduleSweep = () => {
+  if (sweeping || Date.now() - lastSweep < SWEEP_INTERVAL) {
+    return;
+  }
+  lastSweep = Date.now();
+  sweeping = sweep()
+    .catch(error => console.error('Error cleaning up generated images:', error))
+    .finally(() => {
+      sweeping = null;
+    });
+};
+
+// Write a rendered entry ({ buffer, etag }) and return its file name
+export const saveRender = async (templateId, rendered, extension) => {
+  const digest = rendered.etag.replace(/"/g, '');
+  const filename = `${templateId}-${digest}.${extension}`.replace(/[^\w.-]/g, '_');
+  const filePath = join(generatedDir, filename);
+
+  try {
+    // Saving a render again counts as a fresh save for the retention policy
+    const now = new Date();
+    await fs.utimes(filePath, now, now);
+  } catch {
+    // Write then rename, so a concurrent request never serves a partly written file
+    const tempPath = `${filePath}.${process.pid}-${Date.now()}.tmp`;
+    await fs.mkdir(generatedDir, { recursive: true });
+    await fs.writeFile(tempPath, rendered.buffer);
+    await fs.rename(tempPath, filePath);
+  }
+
+  scheduleSweep();
+  return filename;
+};
@@ -0,0 +1,25 @@
+import { parentPort } from 'worker_threads';
+import { generateCanvasImage } from './imageGenerator.js';
+import { imageCache } from './imageCache.js';
+
+// Render worker run by services/renderPool.js. Each worker has its own font registrations
+// and decoded image cache; renders arrive as messages and results are posted back.
+
+parentPort.on('message', async (message) => {
+  if (message.type === 'stats') {
+    parentPort.postMessage({ type: 'stats', requestId: message.requestId, images: imageCache.getStats() });
+    return;
+  }
+
+  const { id, config, elements, params, options } = message;
+  try {
+    const { buffer, warnings } = await generateCanvasImage(config, elements, params, options);
+    parentPort.postMessage({ type: 'result', id, buffer, warnings });
+  } catch (error) {
+    parentPort.postMessage({
+      type: 'result',
+      id,
+      error: { message: error.message, statusCode: error.statusCode }
+    });
+  }
+});
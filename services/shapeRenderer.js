@@ -0,0 +1,139 @@
+import { isPaintable } from '../utils/colors.js';
+
+// Drawing of vector shape elements: rectangle, ellipse, line and polygon
+
+export const SHAPE_TYPES = ['rectangle', 'ellipse', 'line', 'polygon'];
+
+const DASH_PRESETS = {
+  solid: () => [],
+  dashed: (strokeWidth) => [strokeWidth * 3, strokeWidth * 2],
+  dotted: (strokeWidth) => [strokeWidth, strokeWidth]
+};
+
+// Resolve `dashPattern` (a preset name or an array of segment lengths) to a line dash
+const resolveDashPattern = (dashPattern, strokeWidth) => {
+  if (Array.isArray(dashPattern)) {
+    return dashPattern.map(Number).filter(segment => segment >= 0);
+  }
+  const preset = DASH_PRESETS[dashPattern];
+  return preset ? preset(Math.max(strokeWidth, 1)) : [];
+};
+
+// Normalize a corner radius (number or [topLeft, topRight, bottomRight, bottomLeft]),
+// clamped so opposing corners never overlap
+const resolveCornerRadii = (cornerRadius, width, height) => {
+  const radii = Array.isArray(cornerRadius)
+    ? [0, 1, 2, 3].map(i => Number(cornerRadius[i] ?? cornerRadius[0]) || 0)
+    : [0, 1, 2, 3].map(() => Number(cornerRadius) || 0);
+  const maxRadius = Math.min(Math.abs(width), Math.abs(height)) / 2;
+  return radii.map(radius => Math.max(0, Math.min(radius, maxRadius)));
+};
+
+// Trace a rectangle with optionally rounded corners onto the current path
+export const traceRoundedRect = (ctx, x, y, width, height, cornerRadius = 0) => {
+  const [tl, tr, br, bl] = resolveCornerRadii(cornerRadius, width, height);
+
+  ctx.moveTo(x + tl, y);
+  ctx.lineTo(x + width - tr, y);
+  ctx.arc(x + width - tr, y + tr, tr, -Math.PI / 2, 0);
+  ctx.lineTo(x + width, y + height - br);
+  ctx.arc(x + width - br, y + height - br, br, 0, Math.PI / 2);
+  ctx.lineTo(x + bl, y + height);
+  ctx.arc(x + bl, y + height - bl, bl, Math.PI / 2, Math.PI);
+  ctx.lineTo(x, y + tl);
+  ctx.arc(x + tl, y + tl, tl, Math.PI, Math.PI * 1.5);
+  ctx.closePath();
+};
+
+// Points are relative to the element position, either {x, y} objects or [x, y] pairs
+const normalizePoints = (points) => (points || [])
+  .map(point => (Array.isArray(point) ? { x: point[0], y: point[1] } : point))
+  .filter(point => point && Number.isFinite(Number(point.x)) && Number.isFinite(Number(point.y)))
+  .map(point => ({ x: Number(point.x), y: Number(point.y) }));
+
+// Vertices of a regular polygon inscribed in the element box, first vertex at the top
+const regularPolygonPoints = (sides, width, height) => {
+  const count = Math.max(3, Math.floor(sides));
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    const angle = -Math.PI / 2 + (i * Math.PI * 2) / count;
+    points.push({
+      x: width / 2 + (width / 2) * Math.cos(angle),
+      y: height / 2 + (height / 2) * Math.sin(angle)
+    });
+  }
+  return points;
+};
+
+const tracePolyline = (ctx, originX, originY, points, closed) => {
+  points.forEach((point, index) => {
+    if (index === 0) {
+      ctx.moveTo(originX + point.x, originY + point.y);
+    } else {
+      ctx.lineTo(originX + point.x, originY + point.y);
+    }
+  });
+  if (closed) {
+    ctx.closePath();
+  }
+};
+
+export const drawShapeElement = (ctx, element) => {
+  const { data } = element;
+  const type = data.type;
+  const width = data.width || 100;
+  const height = data.height || (type === 'line' ? 0 : 100);
+  const strokeWidth = data.strokeWidth ?? (type === 'line' ? 2 : 0);
+  const strokeColor = data.strokeColor || '#000000';
+  const fillColor = type === 'line' ? null : (data.fillColor ?? '#000000');
+
+  ctx.save();
+  try {
+    ctx.beginPath();
+
+    switch (type) {
+      case 'rectangle':
+        traceRoundedRect(ctx, element.x, element.y, width, height, data.cornerRadius || 0);
+        break;
+      case 'ellipse':
+        ctx.ellipse(element.x + width / 2, element.y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+        break;
+      case 'line': {
+        const points = normalizePoints(data.points);
+        tracePolyline(ctx, element.x, element.y, points.length >= 2 ? points : [{ x: 0, y: 0 }, { x: width, y: height }], false);
+        break;
+      }
+      case 'polygon': {
+        const points = normalizePoints(data.points);
+        tracePolyline(
+          ctx,
+          element.x,
+          element.y,
+          points.length >= 3 ? points : regularPolygonPoints(data.sides || 6, width, height),
+          true
+        );
+        break;
+      }
+      default:
+        return;
+    }
+
+    if (isPaintable(fillColor)) {
+      ctx.fillStyle = fillColor;
+      ctx.fill();
+    }
+
+    if (strokeWidth > 0 && isPaintable(strokeColor)) {
+      ctx.strokeStyle = strokeColor;
+      ctx.lineWidth = strokeWidth;
+      ctx.lineCap = data.lineCap || 'butt';
+      ctx.lineJoin = data.lineJoin || 'miter';
+      ctx.setLineDash(resolveDashPattern(data.dashPattern, strokeWidth));
+      ctx.stroke();
+    }
+  } catch (error) {
+    console.error(`Error drawing ${type} element:`, error);
+  } finally {
+    ctx.restore();
+  }
+};
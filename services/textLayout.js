@@ -0,0 +1,407 @@
+import LineBreaker from 'linebreak';
+import { splitGraphemes } from '../utils/graphemes.js';
+
+// Text layout for text elements: wrapping, shrink-to-fit, max lines with ellipsis,
+// line height and letter spacing. node-canvas has no letterSpacing support, so spaced
+// text is positioned grapheme by grapheme from prefix measurements, which keeps kerning.
+//
+// Text is laid out as styled runs ({ text, style: { bold, italic, color } }, see
+// utils/richText.js). Lines are produced as fragments of consecutive same-style text.
+
+const ELLIPSIS = '…';
+const SOFT_HYPHEN = '\u00AD';
+const HYPHEN = '-';
+const DEFAULT_LINE_HEIGHT = 1.2;
+const DEFAULT_MIN_FONT_SIZE = 8;
+const FIT_STEP = 0.5;
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/;
+
+// Width of a single-style string including letter spacing between graphemes
+export const measureLine = (ctx, text, letterSpacing = 0) => {
+  const width = ctx.measureText(text).width;
+  if (!letterSpacing || text.length === 0) {
+    return width;
+  }
+  return width + letterSpacing * (splitGraphemes(text).length - 1);
+};
+
+// Hyphenation pattern modules are loaded on demand, one per language
+const hyphenators = new Map();
+
+// Load a hyphenator for a BCP 47 language tag (e.g. "de", "en-US"), falling back to the
+// primary language subtag. Resolves to a function returning a word's syllables, or null.
+export const loadHyphenator = async (language = 'en-us') => {
+  const tag = String(language).toLowerCase().replace(/_/g, '-');
+  if (!LANGUAGE_TAG.test(tag)) {
+    return null;
+  }
+
+  if (!hyphenators.has(tag)) {
+    const candidates = [tag, tag.split('-')[0], tag === 'en' ? 'en-us' : null].filter(Boolean);
+    const loading = (async () => {
+      for (const candidate of candidates) {
+        try {
+          const { default: hyphen } = await import(`hyphen/${candidate}/index.js`);
+          return (word) => hyphen.hyphenateSync(word, { hyphenChar: SOFT_HYPHEN }).split(SOFT_HYPHEN);
+        } catch (error) {
+          // Try the next candidate
+        }
+      }
+      console.warn(`No hyphenation patterns available for language "${language}"`);
+      return null;
+    })();
+    hyphenators.set(tag, loading);
+  }
+
+  return hyphenators.get(tag);
+};
+
+// Flatten runs into one string plus the style spans covering it
+const toStyledText = (runs) => {
+  let text = '';
+  const spans = [];
+  for (const run of runs) {
+    if (!run.text) continue;
+    spans.push({ start: text.length, end: text.length + run.text.length, style: run.style });
+    text += run.text;
+  }
+  return { text, spans };
+};
+
+const styleAt = (styled, offset) => {
+  const span = styled.spans.find(s => offset >= s.start && offset < s.end);
+  return (span || styled.spans[styled.spans.length - 1] || { style: { bold: false, italic: false, color: null } }).style;
+};
+
+// Visible fragments of the range [start, end): trailing whitespace is dropped, soft hyphens
+// are hidden, and `suffix` (a hyphen or ellipsis) is appended in the style of the last character.
+// A line that ends at a soft hyphen shows a real hyphen.
+const lineFragments = (styled, start, end, suffix = '') => {
+  const { text } = styled;
+  let visibleEnd = end;
+  while (visibleEnd > start && /\s/.test(text[visibleEnd - 1])) {
+    visibleEnd--;
+  }
+
+  let trailing = suffix;
+  if (!trailing && visibleEnd > start && text[visibleEnd - 1] === SOFT_HYPHEN) {
+    trailing = HYPHEN;
+  }
+
+  const fragments = [];
+  for (const span of styled.spans) {
+    const from = Math.max(span.start, start);
+    const to = Math.min(span.end, visibleEnd);
+    if (from >= to) continue;
+    const piece = text.slice(from, to).split(SOFT_HYPHEN).join('');
+    if (piece) {
+      fragments.push({ text: piece, style: span.style });
+    }
+  }
+
+  if (trailing) {
+    const style = styleAt(styled, Math.max(visibleEnd - 1, start));
+    const last = fragments[fragments.length - 1];
+    if (last && last.style === style) {
+      last.text += trailing;
+    } else {
+      fragments.push({ text: trailing, style });
+    }
+  }
+
+  return fragments;
+};
+
+// Measure fragments with their own fonts; stores each fragment's unspaced width
+const measureFragments = (ctx, fragments, { getFont, fontSize, letterSpacing }) => {
+  let width = 0;
+  let graphemes = 0;
+  for (const fragment of fragments) {
+    ctx.font = getFont(fontSize, fragment.style);
+    fragment.width = ctx.measureText(fragment.text).width;
+    width += fragment.width;
+    if (letterSpacing) {
+      graphemes += splitGraphemes(fragment.text).length;
+    }
+  }
+  return width + letterSpacing * Math.max(graphemes - 1, 0);
+};
+
+// Chunks of [start, end) that each end at a Unicode (UAX #14) line break opportunity,
+// so CJK text can break between characters and URLs after slashes and hyphens
+const lineBreakSegments = (text, start, end) => {
+  const breaker = new LineBreaker(text.slice(start, end));
+  const segments = [];
+  let last = 0;
+  let opportunity;
+  while ((opportunity = breaker.nextBreak())) {
+    if (opportunity.position > last) {
+      segments.push([start + last, start + opportunity.position]);
+      last = opportunity.position;
+    }
+  }
+  if (start + last < end) {
+    segments.push([start + last, end]);
+  }
+  return segments;
+};
+
+// Grapheme boundary offsets after `start` up to and including `end`, in increasing order
+const graphemeBoundaries = (text, start, end) => {
+  const boundaries = [];
+  let offset = start;
+  for (const grapheme of splitGraphemes(text.slice(start, end))) {
+    offset += grapheme.length;
+    boundaries.push(offset);
+  }
+  return boundaries;
+};
+
+// Wrap one paragraph [start, end) at Unicode line break opportunities. Words that don't fit
+// are hyphenated when a hyphenator is given, and anything still wider than the line is
+// broken between graphemes rather than squashed. Returns line ranges.
+const wrapParagraph = (styled, start, end, { measure, maxWidth, hyphenate }) => {
+  const { text } = styled;
+  const lines = [];
+  let lineStart = start;
+  let lineEnd = start;
+  const fits = (cut, suffix = '') => measure(lineStart, cut, suffix) <= maxWidth;
+  const pushLine = (cut, suffix = '') => {
+    lines.push({ start: lineStart, end: cut, suffix });
+    lineStart = cut;
+    lineEnd = cut;
+  };
+
+  for (const [, segmentEnd] of lineBreakSegments(text, start, end)) {
+    // Everything before lineEnd is placed, so the rest of the segment starts there
+    while (lineEnd < segmentEnd) {
+      if (fits(segmentEnd)) {
+        lineEnd = segmentEnd;
+        break;
+      }
+
+      // Keep as many syllables as fit on this line, followed by a hyphen
+      if (hyphenate) {
+        const word = text.slice(lineEnd, segmentEnd).match(/^(\S*)\s*$/);
+        const syllables = word ? hyphenate(word[1]) : [];
+        let cut = null;
+        if (syllables.length > 1 && syllables.join('') === word[1]) {
+          for (let count = syllables.length - 1; count >= 1; count--) {
+            const candidate = lineEnd + syllables.slice(0, count).join('').length;
+            if (fits(candidate, HYPHEN)) {
+              cut = candidate;
+              break;
+            }
+          }
+        }
+        if (cut !== null) {
+          pushLine(cut, HYPHEN);
+          continue;
+        }
+      }
+
+      // Move the chunk to a fresh line and try again
+      if (text.slice(lineStart, lineEnd).trim()) {
+        pushLine(lineEnd);
+        continue;
+      }
+
+      // Still too wide on an empty line: break between graphemes, keeping at least one
+      const boundaries = graphemeBoundaries(text, lineEnd, segmentEnd);
+      let low = 0;
+      let high = boundaries.length - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (fits(boundaries[mid])) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      const cut = boundaries[low];
+      if (cut < segmentEnd) {
+        pushLine(cut);
+      } else {
+        lineEnd = segmentEnd;
+      }
+    }
+  }
+
+  lines.push({ start: lineStart, end: lineEnd, suffix: '' });
+  return lines;
+};
+
+// Shorten a line range until it fits with a trailing ellipsis
+const ellipsize = (styled, line, { measure, maxWidth }) => {
+  const boundaries = [line.start, ...graphemeBoundaries(styled.text, line.start, line.end)];
+  for (let i = boundaries.length - 1; i >= 0; i--) {
+    if (measure(line.start, boundaries[i], ELLIPSIS) <= maxWidth) {
+      return { start: line.start, end: boundaries[i], suffix: ELLIPSIS };
+    }
+  }
+  return { start: line.start, end: line.start, suffix: ELLIPSIS };
+};
+
+// Lay out styled runs inside a box.
+// options: fontSize, getFont(size, style) -> canvas font string, maxWidth, height (optional),
+// lineHeight (multiplier of font size), letterSpacing (px), maxLines, autoFit, minFontSize,
+// hyphenate (from loadHyphenator).
+// Returns lines of { fragments: [{ text, style, width }], width }.
+export const layoutText = (ctx, runs, options) => {
+  const {
+    fontSize,
+    getFont,
+    maxWidth,
+    height,
+    letterSpacing = 0,
+    maxLines,
+    autoFit = false,
+    hyphenate = null
+  } = options;
+  const lineHeightRatio = Number(options.lineHeight) > 0 ? Number(options.lineHeight) : DEFAULT_LINE_HEIGHT;
+  const lineLimit = Number(maxLines) > 0 ? Math.floor(Number(maxLines)) : null;
+  const styled = toStyledText(runs);
+
+  const measurerAt = (size) => (start, end, suffix = '') =>
+    measureFragments(ctx, lineFragments(styled, start, end, suffix), { getFont, fontSize: size, letterSpacing });
+
+  const layoutAtSize = (size) => {
+    const measure = measurerAt(size);
+    const ranges = [];
+    let paragraphStart = 0;
+    for (const paragraph of styled.text.split('\n')) {
+      const paragraphEnd = paragraphStart + paragraph.length;
+      ranges.push(...wrapParagraph(styled, paragraphStart, paragraphEnd, { measure, maxWidth, hyphenate }));
+      paragraphStart = paragraphEnd + 1;
+    }
+    return { size, ranges, measure, lineHeight: size * lineHeightRatio };
+  };
+
+  const fits = ({ ranges, measure, lineHeight }) => {
+    if (ranges.some(range => measure(range.start, range.end, range.suffix) > maxWidth + 0.5)) return false;
+    if (lineLimit && ranges.length > lineLimit) return false;
+    if (height && ranges.length * lineHeight > height + 0.5) return false;
+    return true;
+  };
+
+  let layout = layoutAtSize(fontSize);
+
+  // Shrink to fit: binary search for the largest size (in half-pixel steps) that fits the box
+  if (autoFit && !fits(layout)) {
+    const minFontSize = Math.min(Number(options.minFontSize) || DEFAULT_MIN_FONT_SIZE, fontSize);
+    let low = Math.ceil(minFontSize / FIT_STEP);
+    let high = Math.floor(fontSize / FIT_STEP) - 1;
+    let best = null;
+
+    while (low <= high) {
+      const mid = Math.floor((low + high) / 2);
+      const candidate = layoutAtSize(mid * FIT_STEP);
+      if (fits(candidate)) {
+        best = candidate;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    layout = best || layoutAtSize(minFontSize);
+  }
+
+  let { ranges } = layout;
+  if (lineLimit && ranges.length > lineLimit) {
+    ranges = ranges.slice(0, lineLimit);
+    ranges[lineLimit - 1] = ellipsize(styled, ranges[lineLimit - 1], { measure: layout.measure, maxWidth });
+  }
+
+  const lines = ranges.map(range => {
+    const fragments = lineFragments(styled, range.start, range.end, range.suffix);
+    const width = measureFragments(ctx, fragments, { getFont, fontSize: layout.size, letterSpacing });
+    return { fragments, width };
+  });
+
+  return {
+    lines,
+    fontSize: layout.size,
+    lineHeight: layout.lineHeight,
+    blockHeight: lines.length * layout.lineHeight
+  };
+};
+
+// Draw one single-style string. `x` is the anchor for ctx.textAlign; text wider than
+// maxWidth is condensed horizontally, like the maxWidth argument of fillText.
+export const drawTextLine = (ctx, text, x, y, { letterSpacing = 0, maxWidth, mode = 'fill' } = {}) => {
+  const draw = mode === 'stroke' ? ctx.strokeText.bind(ctx) : ctx.fillText.bind(ctx);
+
+  if (!letterSpacing) {
+    if (maxWidth !== undefined) {
+      draw(text, x, y, maxWidth);
+    } else {
+      draw(text, x, y);
+    }
+    return;
+  }
+
+  const width = measureLine(ctx, text, letterSpacing);
+  const align = ctx.textAlign;
+  let left = x;
+  if (align === 'center') left = x - width / 2;
+  else if (align === 'right' || align === 'end') left = x - width;
+
+  ctx.save();
+  if (maxWidth !== undefined && width > maxWidth && width > 0) {
+    // Condense around the alignment anchor so the line stays aligned
+    ctx.translate(x, 0);
+    ctx.scale(maxWidth / width, 1);
+    ctx.translate(-x, 0);
+  }
+  ctx.textAlign = 'left';
+
+  let prefix = '';
+  splitGraphemes(text).forEach((grapheme, index) => {
+    const offset = ctx.measureText(prefix).width + letterSpacing * index;
+    draw(grapheme, left + offset, y);
+    prefix += grapheme;
+  });
+  ctx.restore();
+};
+
+// Draw a laid-out line of styled fragments anchored at `x` according to ctx.textAlign.
+// options: getFont, fontSize, letterSpacing, maxWidth, mode ('fill' or 'stroke'),
+// and fillFor(style) giving the fill style for a fragment.
+export const drawLayoutLine = (ctx, line, x, y, options) => {
+  const { getFont, fontSize, letterSpacing = 0, maxWidth, mode = 'fill', fillFor } = options;
+  const { fragments } = line;
+
+  if (fragments.length === 0) {
+    return;
+  }
+
+  if (fragments.length === 1) {
+    ctx.font = getFont(fontSize, fragments[0].style);
+    if (mode === 'fill') ctx.fillStyle = fillFor(fragments[0].style);
+    drawTextLine(ctx, fragments[0].text, x, y, { letterSpacing, maxWidth, mode });
+    return;
+  }
+
+  const align = ctx.textAlign;
+  let left = x;
+  if (align === 'center') left = x - line.width / 2;
+  else if (align === 'right' || align === 'end') left = x - line.width;
+
+  ctx.save();
+  if (maxWidth !== undefined && line.width > maxWidth && line.width > 0) {
+    ctx.translate(x, 0);
+    ctx.scale(maxWidth / line.width, 1);
+    ctx.translate(-x, 0);
+  }
+  ctx.textAlign = 'left';
+
+  let cursor = left;
+  for (const fragment of fragments) {
+    ctx.font = getFont(fontSize, fragment.style);
+    if (mode === 'fill') ctx.fillStyle = fillFor(fragment.style);
+    drawTextLine(ctx, fragment.text, cursor, y, { letterSpacing, mode });
+    cursor += fragment.width + letterSpacing * splitGraphemes(fragment.text).length;
+  }
+  ctx.restore();
+};
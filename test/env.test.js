@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { numberFromEnv } from '../utils/env.js';
+
+const withEnv = (value, read) => {
+  process.env.TEST_SETTING = value;
+  try {
+    return read();
+  } finally {
+    delete process.env.TEST_SETTING;
+  }
+};
+
+test('numberFromEnv reads positive numbers and falls back when unset', () => {
+  assert.equal(withEnv('250', () => numberFromEnv('TEST_SETTING', 10)), 250);
+  assert.equal(withEnv('', () => numberFromEnv('TEST_SETTING', 10)), 10);
+  assert.equal(numberFromEnv('TEST_SETTING', 10), 10);
+});
+
+test('numberFromEnv accepts 0 only with allowZero', () => {
+  assert.equal(withEnv('0', () => numberFromEnv('TEST_SETTING', 10, { allowZero: true })), 0);
+  assert.equal(withEnv('0', () => numberFromEnv('TEST_SETTING', 10)), 10);
+  assert.equal(withEnv('-5', () => numberFromEnv('TEST_SETTING', 10, { allowZero: true })), 10);
+  assert.equal(withEnv('abc', () => numberFromEnv('TEST_SETTING', 10)), 10);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNumber, applyFormatters } from '../utils/formatters.js';
+import { interpolate } from '../utils/interpolate.js';
+
+test('parseNumber follows the locale separators', () => {
+  assert.equal(parseNumber('1,5', 'de-DE'), 1.5);
+  assert.equal(parseNumber('1.234,5', 'de-DE'), 1234.5);
+  assert.equal(parseNumber('1,234.5', 'en-US'), 1234.5);
+  assert.equal(parseNumber('1 234,5', 'fr-FR'), 1234.5);
+  assert.equal(parseNumber('1,5', 'en-US'), null);
+});
+
+test('parseNumber accepts plain JavaScript numbers in any locale', () => {
+  assert.equal(parseNumber('19.99', 'de-DE'), 19.99);
+  assert.equal(parseNumber('-42', 'en-US'), -42);
+  assert.equal(parseNumber(7, 'de-DE'), 7);
+});
+
+test('parseNumber treats empty values as unparseable', () => {
+  assert.equal(parseNumber('', 'en-US'), null);
+  assert.equal(parseNumber('   ', 'en-US'), null);
+  assert.equal(parseNumber(undefined, 'en-US'), null);
+});
+
+test('number formatters leave empty values to the fallback', () => {
+  const currency = [{ name: 'currency', args: ['EUR'] }];
+  assert.equal(applyFormatters('', currency, { locale: 'en-US' }), '');
+  assert.equal(applyFormatters('1,5', currency, { locale: 'de-DE' }), '1,50 €');
+  assert.equal(interpolate('{price | currency:EUR | default:n/a}', { price: '' }, { locale: 'en-US' }), 'n/a');
+  assert.equal(interpolate('{price | currency:EUR}', {}, { locale: 'en-US' }), '{price | currency:EUR}');
+});
+
+test('placeholders ignore inherited keys', () => {
+  assert.equal(interpolate('{constructor}', {}), '{constructor}');
+  assert.equal(applyFormatters('x', [{ name: 'toString', args: [] }]), 'x');
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveOutputFormat } from '../utils/renderOptions.js';
+
+const negotiated = (accept) => resolveOutputFormat({}, accept).format;
+
+test('Accept: the supported format with the highest q wins', () => {
+  assert.equal(negotiated('image/jpeg, image/png;q=0.1'), 'jpeg');
+  assert.equal(negotiated('image/webp, */*;q=0.1'), 'webp');
+  assert.equal(negotiated('image/webp;q=1, image/*;q=0.5'), 'webp');
+  assert.equal(negotiated('application/pdf, */*;q=0.1'), 'pdf');
+});
+
+test('Accept: q=0 makes a format unacceptable', () => {
+  assert.notEqual(negotiated('image/png;q=0, */*'), 'png');
+  assert.equal(negotiated('image/png;q=0, image/webp;q=0.5'), 'webp');
+});
+
+test('Accept: PNG breaks ties at the highest q', () => {
+  assert.equal(
+    negotiated('image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8'),
+    'png'
+  );
+  assert.equal(negotiated('*/*'), 'png');
+  assert.equal(negotiated('image/webp, image/png'), 'png');
+});
+
+test('Accept: no acceptable format falls back to PNG', () => {
+  assert.equal(negotiated(''), 'png');
+  assert.equal(negotiated('text/html'), 'png');
+});
+
+test('an explicit format wins over the Accept header', () => {
+  assert.equal(resolveOutputFormat({ format: 'jpg' }, 'image/webp').format, 'jpeg');
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRichText, escapeRichText } from '../utils/richText.js';
+
+test('parses bold, italic and color markup', () => {
+  assert.deepEqual(parseRichText('a **b** *c* [color=red]d[/color]'), [
+    { text: 'a ', style: { bold: false, italic: false, color: null } },
+    { text: 'b', style: { bold: true, italic: false, color: null } },
+    { text: ' ', style: { bold: false, italic: false, color: null } },
+    { text: 'c', style: { bold: false, italic: true, color: null } },
+    { text: ' ', style: { bold: false, italic: false, color: null } },
+    { text: 'd', style: { bold: false, italic: false, color: 'red' } }
+  ]);
+});
+
+test('keeps unmatched markers and escaped text literal', () => {
+  assert.equal(parseRichText('[color=red]open **bold')[0].text, '[color=red]open **bold');
+  assert.equal(parseRichText(escapeRichText('**[color=red]x[/color]**'))[0].text, '**[color=red]x[/color]**');
+});
+
+test('parses unclosed color openers in linear time', () => {
+  const openers = '[color='.repeat(150000);
+  for (const input of [openers, `${openers}[/color]`, `${'[color=red'.repeat(100000)}][/color]`]) {
+    const started = process.hrtime.bigint();
+    parseRichText(input);
+    const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+    assert.ok(elapsedMs < 1000, `parsing ${input.length} chars took ${elapsedMs}ms`);
+  }
+});
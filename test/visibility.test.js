@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateRule, isElementVisible } from '../utils/visibility.js';
+
+test('rules compare parameter values', () => {
+  assert.equal(evaluateRule({ variable: 'stock', operator: 'gt', value: 0 }, { stock: '3' }), true);
+  assert.equal(evaluateRule({ variable: 'tier', operator: 'in', value: ['gold'] }, { tier: 'silver' }), false);
+  assert.equal(evaluateRule({ not: { variable: 'discount' } }, {}), true);
+});
+
+test('rules ignore inherited keys', () => {
+  assert.equal(evaluateRule({ variable: 'constructor', operator: 'present' }, {}), false);
+  assert.equal(evaluateRule({ variable: 'toString', operator: 'empty' }, {}), true);
+  assert.equal(evaluateRule({ variable: 'constructor', operator: 'present' }, { constructor: 'x' }), true);
+});
+
+test('unknown and inherited operators leave the element visible', () => {
+  assert.equal(evaluateRule({ variable: 'a', operator: 'toString' }, {}), true);
+});
+
+test('hideWhenEmpty hides elements whose variable has no value', () => {
+  const element = { variableName: 'valueOf', data: { hideWhenEmpty: true } };
+  assert.equal(isElementVisible(element, {}), false);
+  assert.equal(isElementVisible(element, { valueOf: 'x' }), true);
+});
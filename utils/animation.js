@@ -0,0 +1,176 @@
+import { RenderOptionsError } from './renderOptions.js';
+
+// Animation of templates rendered to animated GIF or WebP.
+//
+//   config.animation: {
+//     duration: 3000, fps: 10,          // evenly spaced frames over the duration
+//     loop: 0,                          // times to play; 0 repeats forever
+//     frames: [                         // or explicit frames, each with its own parameters
+//       { duration: 1000, params: { headline: 'Sale ends soon' } },
+//       { duration: 1000, params: { headline: 'Last chance' } }
+//     ]
+//   }
+//
+//   element.data.animation: { type: 'fadeIn', start: 0, duration: 500, easing: 'easeOut' }
+//   element.data.animation: [{ type: 'slideIn', from: 'left', distance: 200 },
+//                            { type: 'fadeOut', start: 2500 }]
+//   element.data.keyframes: [{ time: 0, rotation: 0 }, { time: 1000, rotation: 360, easing: 'linear' }]
+//
+// Presets are fadeIn, fadeOut, slideIn and slideOut (from/to: left, right, top or bottom).
+// Keyframes set any property at a time in ms; numbers are interpolated between keyframes
+// and other values switch when their keyframe is reached. x and y are the element position,
+// other keys are element.data properties.
+//
+// Every frame is drawn with `now` advanced by its start time, so {deadline | countdown}
+// ticks from frame to frame.
+
+const DEFAULT_DURATION = 2000;
+const DEFAULT_FPS = 10;
+const MAX_FPS = 50;
+const MAX_FRAMES = 150;
+const MAX_ANIMATION_PIXELS = 30000000;
+// GIF and WebP store frame delays (ms) and the loop count as 16-bit integers
+const MAX_DELAY = 65535;
+const MAX_LOOP = 65535;
+
+const EASINGS = {
+  linear: progress => progress,
+  easeIn: progress => progress * progress,
+  easeOut: progress => 1 - (1 - progress) * (1 - progress),
+  easeInOut: progress => (progress < 0.5 ? 2 * progress * progress : 1 - ((-2 * progress + 2) ** 2) / 2)
+};
+
+const SLIDE_DIRECTIONS = {
+  left: [-1, 0],
+  right: [1, 0],
+  top: [0, -1],
+  bottom: [0, 1]
+};
+
+const ease = (name, progress) => (EASINGS[name] || EASINGS.linear)(Math.max(0, Math.min(1, progress)));
+
+export const isAnimated = (config = {}) => Boolean(config.animation) && typeof config.animation === 'object';
+
+// Frames of an animated template as { time, delay, params }: `time` is the frame's start in
+// ms and `delay` how long it is shown. Throws a RenderOptionsError when the animation would
+// exceed the frame or pixel limits at the given output size.
+export const resolveFrames = (config, params, { width, height }) => {
+  const { animation } = config;
+  let frames;
+
+  if (Array.isArray(animation.frames) && animation.frames.length > 0) {
+    let time = 0;
+    frames = animation.frames.map(frame => {
+      const delay = Math.min(MAX_DELAY, Math.max(20, Math.round(Number(frame?.duration) || 1000)));
+      const resolved = { time, delay, params: { ...params, ...(frame?.params || {}) } };
+      time += delay;
+      return resolved;
+    });
+  } else {
+    const fps = Math.min(MAX_FPS, Math.max(1, Number(animation.fps) || DEFAULT_FPS));
+    const duration = Math.max(1, Number(animation.duration) || DEFAULT_DURATION);
+    const delay = Math.round(1000 / fps);
+    const count = Math.max(1, Math.ceil(duration / delay));
+    if (count > MAX_FRAMES) {
+      throw new RenderOptionsError(`Animation has ${count} frames; at most ${MAX_FRAMES} are allowed`);
+    }
+    frames = Array.from({ length: count }, (_, index) => ({ time: index * delay, delay, params }));
+  }
+
+  if (frames.length > MAX_FRAMES) {
+    throw new RenderOptionsError(`Animation has ${frames.length} frames; at most ${MAX_FRAMES} are allowed`);
+  }
+  if (frames.length * width * height > MAX_ANIMATION_PIXELS) {
+    throw new RenderOptionsError(
+      `Animation of ${frames.length} frames at ${width}x${height} is too large; reduce the size or frame count`
+    );
+  }
+  return frames;
+};
+
+// Times to play the animation (0 forever)
+export const animationLoop = (config) => Math.min(MAX_LOOP, Math.max(0, Math.floor(Number(config.animation?.loop) || 0)));
+
+const readProperty = (element, property) => (property === 'x' || property === 'y'
+  ? element[property]
+  : element.data[property]);
+
+const writeProperty = (element, property, value) => (property === 'x' || property === 'y'
+  ? { ...element, [property]: value }
+  : { ...element, data: { ...element.data, [property]: value } });
+
+const applyPreset = (element, preset, time) => {
+  const start = Number(preset.start) || 0;
+  const duration = Math.max(1, Number(preset.duration) || 500);
+  const progress = ease(preset.easing || 'easeOut', (time - start) / duration);
+  const opacity = Number(element.data.opacity ?? 1);
+
+  switch (preset.type) {
+    case 'fadeIn':
+      return writeProperty(element, 'opacity', opacity * progress);
+    case 'fadeOut':
+      return writeProperty(element, 'opacity', opacity * (1 - progress));
+    case 'slideIn':
+    case 'slideOut': {
+      const [dirX, dirY] = SLIDE_DIRECTIONS[preset.from || preset.to] || SLIDE_DIRECTIONS.left;
+      const distance = Number(preset.distance) || 100;
+      const offset = distance * (preset.type === 'slideIn' ? 1 - progress : progress);
+      return { ...element, x: element.x + dirX * offset, y: element.y + dirY * offset };
+    }
+    default:
+      console.warn(`Ignoring unknown animation "${preset.type}" on element ${element.id}`);
+      return element;
+  }
+};
+
+// Value of one property at `time` from the keyframes that set it
+const keyframeValue = (keyframes, property, time) => {
+  const frames = keyframes.filter(frame => frame[property] !== undefined);
+  if (frames.length === 0) return undefined;
+
+  const nextIndex = frames.findIndex(frame => frame.time > time);
+  if (nextIndex === 0) return frames[0][property];
+  if (nextIndex === -1) return frames[frames.length - 1][property];
+
+  const previous = frames[nextIndex - 1];
+  const next = frames[nextIndex];
+  const from = Number(previous[property]);
+  const to = Number(next[property]);
+  if (!Number.isFinite(from) || !Number.isFinite(to)) return previous[property];
+
+  const progress = ease(next.easing || 'linear', (time - previous.time) / (next.time - previous.time));
+  return from + (to - from) * progress;
+};
+
+// The element as it appears `time` ms into the animation
+export const animateElement = (element, time) => {
+  const { animation, keyframes } = element.data || {};
+  let animated = element;
+
+  (Array.isArray(animation) ? animation : animation ? [animation] : [])
+    .filter(preset => preset && typeof preset === 'object')
+    .forEach(preset => {
+      animated = applyPreset(animated, preset, time);
+    });
+
+  if (Array.isArray(keyframes)) {
+    const frames = keyframes
+      .filter(frame => frame && Number.isFinite(Number(frame.time)))
+      .map(frame => ({ ...frame, time: Number(frame.time) }))
+      .sort((a, b) => a.time - b.time);
+    const properties = new Set(frames.flatMap(frame => Object.keys(frame)));
+    ['time', 'easing', 'type', 'bindings'].forEach(key => properties.delete(key));
+
+    properties.forEach(property => {
+      const value = keyframeValue(frames, property, time);
+      if (value !== undefined && value !== readProperty(animated, property)) {
+        animated = writeProperty(animated, property, value);
+      }
+    });
+  }
+
+  return animated;
+};
+
+// Whether a render depends on the current time, so it must not be served from a cache
+export const isTimeDependent = (elements) => /\|\s*countdown\b/.test(JSON.stringify(elements));
@@ -0,0 +1,169 @@
+// Linear barcode encoders. Each encoder returns the symbol as a string of modules
+// ('1' = bar, '0' = space) together with the human-readable text.
+
+// Code 128 symbol widths (bar, space, bar, space, bar, space) for values 0-105, followed by the stop symbol
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_CODE_B = 100;
+const CODE128_CODE_C = 99;
+const CODE128_STOP = 106;
+
+const EAN_L_CODES = [
+  '0001101', '0011001', '0010011', '0111101', '0100011',
+  '0110001', '0101111', '0111011', '0110111', '0001011'
+];
+// Parity of the left-hand digits, selected by the leading (13th) digit
+const EAN13_PARITY = [
+  'LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG',
+  'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'
+];
+
+export class BarcodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BarcodeError';
+  }
+}
+
+const widthsToModules = (widths) => widths
+  .split('')
+  .map((width, index) => (index % 2 === 0 ? '1' : '0').repeat(Number(width)))
+  .join('');
+
+const countDigits = (value, from) => {
+  let count = 0;
+  while (from + count < value.length && /[0-9]/.test(value[from + count])) {
+    count++;
+  }
+  return count;
+};
+
+// Code 128 using set C for runs of digits and set B for everything else
+export const encodeCode128 = (value) => {
+  const text = String(value);
+  if (text.length === 0) {
+    throw new BarcodeError('Code128 payload is empty');
+  }
+  if (!/^[\x20-\x7E]*$/.test(text)) {
+    throw new BarcodeError('Code128 payload may only contain printable ASCII characters');
+  }
+
+  const codes = [];
+  let index = 0;
+  let codeSet = null;
+
+  while (index < text.length) {
+    const digits = countDigits(text, index);
+    // Set C pays off for 4+ digits at the start or end, 6+ in the middle
+    const atEdge = index === 0 || index + digits === text.length;
+    const useC = digits >= (atEdge ? 4 : 6);
+
+    if (useC) {
+      // An odd run keeps its first digit in set B so the rest pairs up
+      if (digits % 2 === 1) {
+        if (codeSet === null) {
+          codes.push(CODE128_START_B);
+        } else if (codeSet !== 'B') {
+          codes.push(CODE128_CODE_B);
+        }
+        codeSet = 'B';
+        codes.push(text.charCodeAt(index) - 32);
+        index++;
+      }
+
+      if (codeSet === null) {
+        codes.push(CODE128_START_C);
+      } else if (codeSet !== 'C') {
+        codes.push(CODE128_CODE_C);
+      }
+      codeSet = 'C';
+
+      const runEnd = index + digits - (digits % 2);
+      for (; index < runEnd; index += 2) {
+        codes.push(Number(text.slice(index, index + 2)));
+      }
+    } else {
+      if (codeSet === null) {
+        codes.push(CODE128_START_B);
+      } else if (codeSet !== 'B') {
+        codes.push(CODE128_CODE_B);
+      }
+      codeSet = 'B';
+      codes.push(text.charCodeAt(index) - 32);
+      index++;
+    }
+  }
+
+  const checksum = codes.reduce((sum, code, position) => sum + code * Math.max(position, 1), 0) % 103;
+  codes.push(checksum, CODE128_STOP);
+
+  return {
+    modules: codes.map(code => widthsToModules(CODE128_PATTERNS[code])).join(''),
+    text
+  };
+};
+
+const ean13CheckDigit = (digits) => {
+  const sum = digits
+    .slice(0, 12)
+    .split('')
+    .reduce((total, digit, position) => total + Number(digit) * (position % 2 === 0 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+// EAN-13 from 12 digits (check digit appended) or 13 digits (check digit verified)
+export const encodeEan13 = (value) => {
+  const digits = String(value).replace(/\s+/g, '');
+  if (!/^\d{12,13}$/.test(digits)) {
+    throw new BarcodeError('EAN-13 payload must be 12 or 13 digits');
+  }
+
+  const checkDigit = ean13CheckDigit(digits);
+  if (digits.length === 13 && Number(digits[12]) !== checkDigit) {
+    throw new BarcodeError(`EAN-13 check digit should be ${checkDigit}`);
+  }
+
+  const full = digits.slice(0, 12) + checkDigit;
+  const parity = EAN13_PARITY[Number(full[0])];
+
+  let modules = '101';
+  for (let i = 1; i <= 6; i++) {
+    const lCode = EAN_L_CODES[Number(full[i])];
+    const rCode = lCode.replace(/[01]/g, bit => (bit === '0' ? '1' : '0'));
+    modules += parity[i - 1] === 'L' ? lCode : rCode.split('').reverse().join('');
+  }
+  modules += '01010';
+  for (let i = 7; i <= 12; i++) {
+    modules += EAN_L_CODES[Number(full[i])].replace(/[01]/g, bit => (bit === '0' ? '1' : '0'));
+  }
+  modules += '101';
+
+  return { modules, text: full };
+};
+
+export const BARCODE_FORMATS = {
+  code128: encodeCode128,
+  ean13: encodeEan13
+};
+
+export const encodeBarcode = (format, value) => {
+  const encoder = BARCODE_FORMATS[String(format || 'code128').toLowerCase().replace(/[^a-z0-9]/g, '')];
+  if (!encoder) {
+    throw new BarcodeError(`Unsupported barcode format "${format}". Supported formats: code128, ean13`);
+  }
+  return encoder(value);
+};
@@ -0,0 +1,90 @@
+// Property bindings: any element property, or a template config property, can take its
+// value from a render parameter.
+//
+//   element.data.bindings: { color: 'brand_color', fontSize: 'title_size', x: 'logo_x' }
+//   element.data.bindings: { 'shadow.color': 'accent' }        // nested properties
+//   config.bindings:       { backgroundColor: 'season_bg' }
+//
+// x and y bind the element position; every other key is a property of element.data.
+// The template's own value is the default and stays in place when the parameter is missing
+// or empty, or when a numeric property gets a value that is not a number.
+
+const NUMERIC_PROPERTIES = new Set([
+  'x', 'y', 'width', 'height', 'fontSize', 'lineHeight', 'letterSpacing', 'rotation',
+  'opacity', 'zIndex', 'strokeWidth', 'borderWidth', 'cornerRadius', 'blur', 'offsetX', 'offsetY'
+]);
+const UNBINDABLE = new Set(['type', 'bindings']);
+const UNSAFE_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
+
+const splitPath = (property) => String(property).split('.').filter(Boolean);
+
+const isBindablePath = (path) => path.length > 0 &&
+  !UNBINDABLE.has(path[0]) &&
+  !path.some(key => UNSAFE_KEYS.has(key));
+
+const getPath = (target, path) => path.reduce((value, key) => value?.[key], target);
+
+// Copy-on-write set, so the template's objects are never modified
+const setPath = (target, [key, ...rest], value) => ({
+  ...target,
+  [key]: rest.length === 0 ? value : setPath(target?.[key] || {}, rest, value)
+});
+
+// Convert a parameter to the type of the property it drives, or undefined to keep the default
+const coerceValue = (raw, current, property) => {
+  if (raw === undefined || raw === null || String(raw).trim() === '') {
+    return undefined;
+  }
+  if (typeof current === 'number' || NUMERIC_PROPERTIES.has(property)) {
+    const number = Number(raw);
+    return Number.isFinite(number) ? number : undefined;
+  }
+  if (typeof current === 'boolean') {
+    return String(raw) === 'true';
+  }
+  return String(raw);
+};
+
+// Bound properties as [property, variableName] pairs, skipping invalid entries
+export const bindingEntries = (bindings) => {
+  if (!bindings || typeof bindings !== 'object' || Array.isArray(bindings)) {
+    return [];
+  }
+  return Object.entries(bindings).filter(([property, variableName]) =>
+    typeof variableName === 'string' && variableName !== '' && isBindablePath(splitPath(property))
+  );
+};
+
+const applyBindings = (target, bindings, params, describe) => bindingEntries(bindings)
+  .reduce((result, [property, variableName]) => {
+    const path = splitPath(property);
+    const current = getPath(result, path);
+    const value = coerceValue(params[variableName], current, path[path.length - 1]);
+    if (value === undefined) {
+      if (params[variableName] !== undefined && String(params[variableName]).trim() !== '') {
+        console.warn(`Ignoring "${params[variableName]}" for ${describe} ${property}: not a number`);
+      }
+      return result;
+    }
+    return setPath(result, path, value);
+  }, target);
+
+// The element with its bound properties replaced by parameter values
+export const applyElementBindings = (element, params = {}) => {
+  const bindings = element.data?.bindings;
+  if (!bindings) {
+    return element;
+  }
+  const { x, y, ...data } = applyBindings(
+    { ...element.data, x: element.x, y: element.y },
+    bindings,
+    params,
+    `element ${element.id}`
+  );
+  return { ...element, x, y, data };
+};
+
+// The template config with its bound properties replaced by parameter values
+export const applyConfigBindings = (config, params = {}) => (config.bindings
+  ? applyBindings(config, config.bindings, params, 'template')
+  : config);
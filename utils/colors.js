@@ -0,0 +1,2 @@
+// Whether a color draws anything: unset, 'none' and 'transparent' mean no fill or stroke
+export const isPaintable = (color) => Boolean(color) && color !== 'none' && color !== 'transparent';
@@ -0,0 +1,16 @@
+// Numeric settings from the environment. A setting must be a positive number, or zero as well
+// with allowZero (used by TTLs, where 0 disables expiry); when it is unset or empty the
+// fallback is used, and any other value is reported and ignored.
+export const numberFromEnv = (name, fallback, { allowZero = false } = {}) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') {
+    return fallback;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0 || (value === 0 && !allowZero)) {
+    const expected = allowZero ? 'zero or a positive number' : 'a positive number';
+    console.warn(`Ignoring ${name}="${raw}": expected ${expected}, using ${fallback}`);
+    return fallback;
+  }
+  return value;
+};
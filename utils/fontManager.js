@@ -164,6 +164,32 @@ class FontManager {
     }
   }
   
+  // Build a canvas font string for a family returned by ensureFontAvailable
+  getFontString(resolvedFont, fontSize, fontWeight = 'normal', fontStyle = 'normal') {
+    const prefix = fontStyle && fontStyle !== 'normal' ? `${fontStyle} ${fontWeight}` : fontWeight;
+    if (resolvedFont === 'Arial' || resolvedFont === 'Arial, sans-serif') {
+      // For Arial, don't use quotes to ensure system font is used
+      return `${prefix} ${fontSize}px Arial, sans-serif`;
+    }
+    // For other fonts, use quotes and fallbacks
+    return `${prefix} ${fontSize}px "${resolvedFont}", Arial, DejaVu Sans, Liberation Sans, sans-serif`;
+  }
+  
+  // List the font files registered for a family so vector outputs can embed them
+  getFontFiles(familyName) {
+    if (!this.registeredFonts.has(`${familyName}-registered`)) {
+      return [];
+    }
+    
+    const baseName = familyName.replace(/\s+/g, '_');
+    const fontDir = path.join(this.fontsDir, baseName);
+    
+    return [
+      { weight: 'normal', path: path.join(fontDir, `${baseName}-400.ttf`) },
+      { weight: 'bold', path: path.join(fontDir, `${baseName}-700.ttf`) }
+    ].filter(file => fs.existsSync(file.path));
+  }
+  
   getFallbackFont(fontFamily) {
     // Return appropriate fallback fonts based on font family
     if (fontFamily.includes('serif')) {
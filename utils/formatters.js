@@ -0,0 +1,222 @@
+import { splitGraphemes } from './graphemes.js';
+
+// Pipe formatters for variable placeholders: {price | currency:EUR}, {date | date:"MMM d"},
+// {name | upper}, {count | plural:item:items}, {title | truncate:40}.
+// Number, date and plural formatting follow the render locale. Dates are shown in the
+// context's timeZone (config.timeZone), UTC by default. Countdowns count from context.now.
+//
+// Every formatter receives the current value (a string, or undefined when the variable has
+// no value) and returns the new value; only `default` does anything with a missing value.
+
+const ELLIPSIS = '…';
+
+// Group and decimal separators of a locale, e.g. { group: '.', decimal: ',' } for de-DE
+const separatorCache = new Map();
+const numberSeparators = (locale) => {
+  const key = locale || '';
+  if (!separatorCache.has(key)) {
+    const parts = new Intl.NumberFormat(locale || undefined).formatToParts(12345.6);
+    separatorCache.set(key, {
+      group: parts.find(part => part.type === 'group')?.value ?? ',',
+      decimal: parts.find(part => part.type === 'decimal')?.value ?? '.'
+    });
+  }
+  return separatorCache.get(key);
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Parse a number written with the locale's separators ("1.234,5" in de-DE, "1,234.5" in
+// en-US), or in plain JavaScript notation ("1234.5"), which machine-generated values use.
+// Empty and unparseable values give null.
+export const parseNumber = (value, locale) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  const text = String(value ?? '').replace(/\s/g, '');
+  if (text === '') {
+    return null;
+  }
+
+  const { group, decimal } = numberSeparators(locale);
+  // Whitespace group separators (fr-FR) are already gone
+  const groups = /^\s$/.test(group) ? '' : `(?:${escapeRegExp(group)}\\d{3})*`;
+  const localized = new RegExp(`^([+-]?)(\\d{1,3}${groups}|\\d+)(?:${escapeRegExp(decimal)}(\\d+))?$`).exec(text);
+  if (localized) {
+    const [, sign, integer, fraction] = localized;
+    return Number(`${sign}${integer.split(group).join('')}${fraction ? `.${fraction}` : ''}`);
+  }
+
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toDate = (value) => {
+  const text = String(value).trim();
+  // Unix timestamps in seconds or milliseconds
+  if (/^-?\d+$/.test(text)) {
+    const number = Number(text);
+    return new Date(Math.abs(number) < 1e11 ? number * 1000 : number);
+  }
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Date pattern tokens (Unicode/date-fns style) mapped to Intl.DateTimeFormat options.
+// Other letters should be quoted in patterns, e.g. "d MMM 'at' HH:mm".
+const DATE_TOKENS = {
+  yyyy: { year: 'numeric' },
+  yy: { year: '2-digit' },
+  MMMM: { month: 'long' },
+  MMM: { month: 'short' },
+  MM: { month: '2-digit' },
+  M: { month: 'numeric' },
+  dd: { day: '2-digit' },
+  d: { day: 'numeric' },
+  EEEE: { weekday: 'long' },
+  EEE: { weekday: 'short' },
+  HH: { hour: '2-digit', hourCycle: 'h23' },
+  H: { hour: 'numeric', hourCycle: 'h23' },
+  hh: { hour: '2-digit', hourCycle: 'h12' },
+  h: { hour: 'numeric', hourCycle: 'h12' },
+  mm: { minute: '2-digit' },
+  ss: { second: '2-digit' },
+  a: { hour: 'numeric', hourCycle: 'h12' }
+};
+const DATE_TOKEN_PATTERN = /'[^']*'|yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|hh|h|mm|ss|a/g;
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+
+// Value of one date field in the locale, e.g. the "May" of MMM
+const datePart = (date, token, { locale, timeZone }) => {
+  const options = { ...DATE_TOKENS[token], timeZone };
+  const parts = new Intl.DateTimeFormat(locale, options).formatToParts(date);
+  if (token === 'a') {
+    return parts.find(part => part.type === 'dayPeriod')?.value ?? '';
+  }
+  const type = Object.keys(DATE_TOKENS[token]).find(key => key !== 'hourCycle');
+  let value = parts.find(part => part.type === type)?.value ?? '';
+  // Some locales ignore 2-digit for minutes and seconds
+  if ((token === 'mm' || token === 'ss') && value.length === 1) {
+    value = `0${value}`;
+  }
+  return value;
+};
+
+const formatDate = (date, pattern, context) => {
+  const timeZone = context.timeZone || 'UTC';
+  if (!pattern || DATE_STYLES.includes(pattern)) {
+    return new Intl.DateTimeFormat(context.locale, { dateStyle: pattern || 'medium', timeZone }).format(date);
+  }
+  return pattern.replace(DATE_TOKEN_PATTERN, (token) => (token.startsWith("'")
+    ? token.slice(1, -1)
+    : datePart(date, token, { locale: context.locale, timeZone })));
+};
+
+// Countdown pattern tokens: days, hours, minutes, seconds. Without a day token the hours
+// are the total hours left.
+const COUNTDOWN_TOKEN_PATTERN = /'[^']*'|dd|d|hh|h|mm|m|ss|s/g;
+
+const formatCountdown = (target, pattern, now) => {
+  const totalSeconds = Math.max(0, Math.floor((target.getTime() - now) / 1000));
+  const tokens = pattern.match(COUNTDOWN_TOKEN_PATTERN) || [];
+  const hasDays = tokens.some(token => token === 'd' || token === 'dd');
+  const parts = {
+    d: Math.floor(totalSeconds / 86400),
+    h: hasDays ? Math.floor((totalSeconds % 86400) / 3600) : Math.floor(totalSeconds / 3600),
+    m: Math.floor((totalSeconds % 3600) / 60),
+    s: totalSeconds % 60
+  };
+  return pattern.replace(COUNTDOWN_TOKEN_PATTERN, (token) => {
+    if (token.startsWith("'")) return token.slice(1, -1);
+    const value = String(parts[token[0]]);
+    return token.length === 2 ? value.padStart(2, '0') : value;
+  });
+};
+
+const withValue = (format) => (value, args, context) => (value === undefined ? undefined : format(value, args, context));
+
+export const FORMATTERS = {
+  upper: withValue((value, args, { locale }) => value.toLocaleUpperCase(locale)),
+  lower: withValue((value, args, { locale }) => value.toLocaleLowerCase(locale)),
+  capitalize: withValue((value, args, { locale }) => value.charAt(0).toLocaleUpperCase(locale) + value.slice(1)),
+  trim: withValue(value => value.trim()),
+
+  truncate: withValue((value, [length]) => {
+    const limit = Math.max(1, Number(length) || 0);
+    const graphemes = splitGraphemes(value);
+    if (!Number(length) || graphemes.length <= limit) {
+      return value;
+    }
+    return graphemes.slice(0, limit - 1).join('').trimEnd() + ELLIPSIS;
+  }),
+
+  number: withValue((value, [decimals], { locale }) => {
+    const number = parseNumber(value, locale);
+    if (number === null) return value;
+    const digits = decimals === undefined || decimals === '' ? undefined : Number(decimals);
+    return new Intl.NumberFormat(locale, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    }).format(number);
+  }),
+
+  currency: withValue((value, [currency = 'USD', display], { locale }) => {
+    const number = parseNumber(value, locale);
+    if (number === null) return value;
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: currency.toUpperCase(),
+      currencyDisplay: display || 'symbol'
+    }).format(number);
+  }),
+
+  percent: withValue((value, [decimals], { locale }) => {
+    const number = parseNumber(value, locale);
+    if (number === null) return value;
+    const digits = decimals === undefined || decimals === '' ? 0 : Number(decimals);
+    return new Intl.NumberFormat(locale, {
+      style: 'percent',
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    }).format(number);
+  }),
+
+  date: withValue((value, [pattern], context) => {
+    const date = toDate(value);
+    return date ? formatDate(date, pattern, context) : value;
+  }),
+
+  // {deadline | countdown:"d 'days' hh:mm:ss"} -> time left until the date, 00:00:00 once passed.
+  // `now` comes from the context, so animation frames can tick.
+  countdown: withValue((value, [pattern = 'hh:mm:ss'], { now = Date.now() }) => {
+    const date = toDate(value);
+    return date ? formatCountdown(date, pattern, now) : value;
+  }),
+
+  // {count | plural:item:items} -> "1 item", "3 items"; "#" in a form places the number
+  plural: withValue((value, [one = '', other = one], { locale }) => {
+    const number = parseNumber(value, locale);
+    if (number === null) return value;
+    const form = new Intl.PluralRules(locale).select(number) === 'one' ? one : other;
+    const formatted = new Intl.NumberFormat(locale).format(number);
+    return form.includes('#') ? form.replace(/#/g, formatted) : `${formatted} ${form}`.trim();
+  }),
+
+  default: (value, [fallback = '']) => (value === undefined || value === '' ? fallback : value)
+};
+
+// Run a value through a chain of { name, args } formatters. Unknown formatters and
+// formatter errors (such as an invalid currency code) leave the value unchanged.
+export const applyFormatters = (value, formatters, context = {}) => formatters.reduce((current, { name, args }) => {
+  const format = Object.hasOwn(FORMATTERS, name) ? FORMATTERS[name] : null;
+  if (!format) {
+    console.warn(`Ignoring unknown formatter "${name}"`);
+    return current;
+  }
+  try {
+    return format(current, args, context);
+  } catch (error) {
+    console.warn(`Formatter "${name}" failed:`, error.message);
+    return current;
+  }
+}, value);
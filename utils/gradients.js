@@ -0,0 +1,70 @@
+// Build canvas gradients from template gradient specs:
+//   { type: 'linear', angle: 90, stops: ['#f00', '#00f'] }
+//   { type: 'radial', centerX: 0.5, centerY: 0.5, radius: 0.5, stops: [{ offset: 0, color: '#fff' }, ...] }
+// Angles follow CSS conventions (0 = bottom to top, 90 = left to right, default 180 = top to bottom).
+// Radial center and radius are fractions of the box; the default radius reaches the farthest corner.
+
+// Normalize stops given as color strings (evenly spaced) or { offset, color } objects
+const normalizeStops = (stops) => {
+  if (!Array.isArray(stops) || stops.length === 0) {
+    return null;
+  }
+
+  return stops.map((stop, index) => {
+    if (typeof stop === 'string') {
+      return { offset: stops.length === 1 ? 0 : index / (stops.length - 1), color: stop };
+    }
+    return {
+      offset: Math.max(0, Math.min(1, Number(stop.offset ?? index / Math.max(stops.length - 1, 1)))),
+      color: stop.color
+    };
+  });
+};
+
+export const isGradientSpec = (value) => Boolean(value) && typeof value === 'object' && Array.isArray(value.stops);
+
+// Create a gradient covering `box` ({ x, y, width, height }), or null if the spec is unusable
+export const createGradient = (ctx, spec, box) => {
+  const stops = normalizeStops(spec?.stops);
+  if (!stops) {
+    return null;
+  }
+
+  let gradient;
+  if (spec.type === 'radial') {
+    const centerX = box.x + box.width * (spec.centerX ?? 0.5);
+    const centerY = box.y + box.height * (spec.centerY ?? 0.5);
+    const farthestCorner = Math.max(
+      ...[[box.x, box.y], [box.x + box.width, box.y], [box.x, box.y + box.height], [box.x + box.width, box.y + box.height]]
+        .map(([cornerX, cornerY]) => Math.hypot(cornerX - centerX, cornerY - centerY))
+    );
+    const radius = spec.radius !== undefined
+      ? Number(spec.radius) * Math.max(box.width, box.height)
+      : farthestCorner;
+    gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, Math.max(radius, 1));
+  } else {
+    const angle = ((Number(spec.angle ?? 180) % 360) * Math.PI) / 180;
+    const dirX = Math.sin(angle);
+    const dirY = -Math.cos(angle);
+    // Same gradient line length as CSS so the end colors touch the box corners
+    const halfLength = (Math.abs(box.width * dirX) + Math.abs(box.height * dirY)) / 2;
+    const centerX = box.x + box.width / 2;
+    const centerY = box.y + box.height / 2;
+    gradient = ctx.createLinearGradient(
+      centerX - dirX * halfLength,
+      centerY - dirY * halfLength,
+      centerX + dirX * halfLength,
+      centerY + dirY * halfLength
+    );
+  }
+
+  for (const { offset, color } of stops) {
+    try {
+      gradient.addColorStop(offset, color);
+    } catch (error) {
+      console.warn(`Ignoring invalid gradient stop color "${color}"`);
+    }
+  }
+
+  return gradient;
+};
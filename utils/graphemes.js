@@ -0,0 +1,4 @@
+// User-perceived characters, so emoji and combining marks are never split
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+export const splitGraphemes = (text) => Array.from(graphemeSegmenter.segment(text), ({ segment }) => segment);
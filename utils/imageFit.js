@@ -0,0 +1,90 @@
+// Placement of an image inside a box, following CSS object-fit / object-position:
+//   fit: 'cover' (fill the box, cropping), 'contain' (fit inside, letterboxing),
+//        'stretch' (ignore aspect ratio) or 'none' (natural size)
+//   position: keywords ('center', 'top', 'bottom left', ...), percentages ('25% 75%')
+//             or fractions ({ x: 0.25, y: 0.75 }); 0 aligns the left/top edges, 1 the right/bottom
+//   focalPoint: { x, y } fractions of the image to keep as close to the box center as the
+//               crop allows; takes precedence over position
+
+export const IMAGE_FITS = ['cover', 'contain', 'stretch', 'none'];
+
+const KEYWORD_POSITIONS = {
+  left: { x: 0 },
+  right: { x: 1 },
+  top: { y: 0 },
+  bottom: { y: 1 },
+  center: {}
+};
+
+const clampFraction = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(0, Math.min(1, number)) : fallback;
+};
+
+// Resolve a position spec into { x, y } fractions, defaulting to the center
+export const parsePosition = (position) => {
+  if (position && typeof position === 'object') {
+    return { x: clampFraction(position.x, 0.5), y: clampFraction(position.y, 0.5) };
+  }
+
+  const result = { x: 0.5, y: 0.5 };
+  if (typeof position !== 'string') {
+    return result;
+  }
+
+  const tokens = position.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const percentages = [];
+  for (const token of tokens) {
+    if (KEYWORD_POSITIONS[token]) {
+      Object.assign(result, KEYWORD_POSITIONS[token]);
+    } else if (/^-?\d+(\.\d+)?%$/.test(token)) {
+      percentages.push(clampFraction(parseFloat(token) / 100, 0.5));
+    }
+  }
+  // Percentages are horizontal then vertical, as in CSS
+  if (percentages.length > 0) result.x = percentages[0];
+  if (percentages.length > 1) result.y = percentages[1];
+  return result;
+};
+
+// Rectangle to draw an image of sourceWidth x sourceHeight into `box` ({ x, y, width, height }).
+// The result can extend past the box for cover/none, so callers clip to the box.
+export const fitImage = (sourceWidth, sourceHeight, box, { fit = 'cover', position, focalPoint } = {}) => {
+  if (fit === 'stretch' || !sourceWidth || !sourceHeight) {
+    return { x: box.x, y: box.y, width: box.width, height: box.height };
+  }
+
+  let scale = 1;
+  if (fit === 'cover') {
+    scale = Math.max(box.width / sourceWidth, box.height / sourceHeight);
+  } else if (fit === 'contain') {
+    scale = Math.min(box.width / sourceWidth, box.height / sourceHeight);
+  }
+
+  const width = sourceWidth * scale;
+  const height = sourceHeight * scale;
+
+  if (focalPoint && typeof focalPoint === 'object') {
+    const focus = parsePosition(focalPoint);
+    // Center the focal point, then clamp so the image still covers the box along overflowing axes
+    const place = (start, boxSize, size, fraction) => {
+      const offset = boxSize / 2 - size * fraction;
+      return start + (size > boxSize ? Math.max(boxSize - size, Math.min(0, offset)) : (boxSize - size) / 2);
+    };
+    return {
+      x: place(box.x, box.width, width, focus.x),
+      y: place(box.y, box.height, height, focus.y),
+      width,
+      height
+    };
+  }
+
+  const { x, y } = parsePosition(position);
+
+  return {
+    x: box.x + (box.width - width) * x,
+    y: box.y + (box.height - height) * y,
+    width,
+    height
+  };
+};
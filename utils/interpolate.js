@@ -0,0 +1,103 @@
+import { applyFormatters } from './formatters.js';
+
+// Variable placeholders inside text content: "Hi {first_name}, your order {order_id} ships {date}".
+// A placeholder can pipe its value through formatters: {price | currency:EUR}, {date | date:"MMM d"}
+// (see utils/formatters.js); arguments are separated by ":" and may be quoted.
+// "{{" and "}}" produce literal braces. Placeholders for variables that have no value are left
+// as written, the same way an unset element variable shows "{name}".
+
+const PLACEHOLDER = /\{\{|\}\}|\{([^{}]*)\}/g;
+const VARIABLE_NAME = /^[A-Za-z_][\w.-]*$/;
+
+// Split on a separator that is outside double or single quotes
+const splitUnquoted = (text, separator) => {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+};
+
+const unquote = (text) => {
+  const trimmed = text.trim();
+  const quoted = trimmed.length >= 2 && (trimmed[0] === '"' || trimmed[0] === "'") &&
+    trimmed[trimmed.length - 1] === trimmed[0];
+  return quoted ? trimmed.slice(1, -1) : trimmed;
+};
+
+// "price | currency:EUR" -> { name: 'price', formatters: [{ name: 'currency', args: ['EUR'] }] }
+const parseExpression = (expression) => {
+  const [name, ...pipes] = splitUnquoted(expression, '|');
+  return {
+    name: name.trim(),
+    formatters: pipes.map(pipe => {
+      const [formatter, ...args] = splitUnquoted(pipe.trim(), ':');
+      return { name: formatter.trim(), args: args.map(unquote) };
+    })
+  };
+};
+
+// Visit every placeholder, calling onPlaceholder(expression, raw) and onText for everything else
+const scan = (template, { onText, onPlaceholder }) => {
+  const text = String(template ?? '');
+  let last = 0;
+  for (const match of text.matchAll(PLACEHOLDER)) {
+    onText(text.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    if (match[0] === '{{' || match[0] === '}}') {
+      onText(match[0][0]);
+      continue;
+    }
+
+    const expression = parseExpression(match[1]);
+    if (VARIABLE_NAME.test(expression.name)) {
+      onPlaceholder(expression, match[0]);
+    } else {
+      onText(match[0]);
+    }
+  }
+  onText(text.slice(last));
+};
+
+// Names of all variables referenced by a template string, in order of first use
+export const extractVariableNames = (template) => {
+  const names = new Set();
+  scan(template, {
+    onText: () => {},
+    onPlaceholder: ({ name }) => names.add(name)
+  });
+  return [...names];
+};
+
+// Replace placeholders with values from params. `escape` is applied to inserted values,
+// e.g. so a value can't introduce rich text markup. `locale`, `timeZone` and `now` (the
+// time countdowns count from) are passed to the formatters.
+export const interpolate = (template, params = {}, { escape = value => value, locale, timeZone, now } = {}) => {
+  let result = '';
+  scan(template, {
+    onText: (text) => {
+      result += text;
+    },
+    onPlaceholder: ({ name, formatters }, raw) => {
+      // Only the parameters' own keys, so {constructor} is not read from Object.prototype
+      const own = Object.hasOwn(params, name) ? params[name] : undefined;
+      const value = own === undefined || own === null ? undefined : String(own);
+      const formatted = applyFormatters(value, formatters, { locale, timeZone, now });
+      result += formatted === undefined ? raw : escape(String(formatted));
+    }
+  });
+  return result;
+};
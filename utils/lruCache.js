@@ -0,0 +1,111 @@
+// Least-recently-used cache bounded by entry count, total size and age.
+// A Map keeps insertion order, so re-inserting an entry on access moves it to the
+// most-recently-used end and eviction takes from the front.
+export class LruCache {
+  constructor({ maxEntries = 500, maxSize = Infinity, ttl = 0, sizeOf = () => 1 } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxSize = maxSize;
+    this.ttl = ttl;
+    this.sizeOf = sizeOf;
+    this.entries = new Map();
+    this.size = 0;
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+  }
+
+  isExpired(entry) {
+    return this.ttl > 0 && Date.now() - entry.storedAt > this.ttl;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    if (this.isExpired(entry)) {
+      this.remove(key, entry);
+      this.stats.expirations++;
+      this.stats.misses++;
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  // Look up without touching recency or stats
+  peek(key) {
+    const entry = this.entries.get(key);
+    return entry && !this.isExpired(entry) ? entry.value : undefined;
+  }
+
+  set(key, value) {
+    const existing = this.entries.get(key);
+    if (existing) {
+      this.remove(key, existing);
+    }
+
+    const size = this.sizeOf(value);
+    // Values larger than the whole cache are not worth evicting everything for
+    if (size > this.maxSize) {
+      return false;
+    }
+
+    this.entries.set(key, { value, size, storedAt: Date.now() });
+    this.size += size;
+
+    while (this.entries.size > this.maxEntries || this.size > this.maxSize) {
+      const [oldestKey, oldest] = this.entries.entries().next().value;
+      this.remove(oldestKey, oldest);
+      this.stats.evictions++;
+    }
+    return true;
+  }
+
+  remove(key, entry) {
+    this.entries.delete(key);
+    this.size -= entry.size;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.remove(key, entry);
+    return true;
+  }
+
+  // Delete every entry whose key matches the predicate; returns the number removed
+  deleteWhere(predicate) {
+    let removed = 0;
+    for (const [key, entry] of [...this.entries]) {
+      if (predicate(key, entry.value)) {
+        this.remove(key, entry);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.size = 0;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? Number((this.stats.hits / lookups).toFixed(4)) : 0,
+      entries: this.entries.size,
+      size: this.size,
+      maxEntries: this.maxEntries,
+      maxSize: this.maxSize,
+      ttl: this.ttl
+    };
+  }
+}
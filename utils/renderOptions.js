@@ -0,0 +1,226 @@
+// Output formats supported by the render pipeline
+// (`alpha` marks formats that can keep a transparent background, `animated` the ones that
+// hold every frame of an animated template; see utils/animation.js)
+export const OUTPUT_FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png', lossy: false, alpha: true },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', lossy: true, alpha: false },
+  webp: { mimeType: 'image/webp', extension: 'webp', lossy: true, alpha: true, animated: true },
+  gif: { mimeType: 'image/gif', extension: 'gif', lossy: false, alpha: true, animated: true },
+  pdf: { mimeType: 'application/pdf', extension: 'pdf', lossy: false, alpha: true, vector: true },
+  svg: { mimeType: 'image/svg+xml', extension: 'svg', lossy: false, alpha: true, vector: true }
+};
+
+const FORMAT_ALIASES = {
+  jpg: 'jpeg'
+};
+
+const DEFAULT_FORMAT = 'png';
+const DEFAULT_QUALITY = 80;
+const DEFAULT_LOCALE = 'en-US';
+
+// Output size limits, so a single request can't allocate an enormous canvas
+const MAX_SCALE = 4;
+const MIN_SCALE = 0.1;
+const MAX_OUTPUT_DIMENSION = 8000;
+export const MAX_OUTPUT_PIXELS = 36000000;
+
+// Query parameters that control rendering and must not be treated as template variables
+export const RENDER_OPTION_KEYS = ['format', 'quality', 'scale', 'width', 'height', 'variant', 'locale'];
+
+// Error raised for invalid render options, reported to the client as a 400
+export class RenderOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RenderOptionsError';
+    this.statusCode = 400;
+  }
+}
+
+// Split a render request query into render options and template variables
+export const splitRenderParams = (query = {}) => {
+  const options = {};
+  const params = {};
+
+  for (const [key, value] of Object.entries(query)) {
+    if (RENDER_OPTION_KEYS.includes(key)) {
+      options[key] = value;
+    } else {
+      params[key] = value;
+    }
+  }
+
+  return { options, params };
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Variables from a JSON body in the same shape as query variables: nested objects become
+// dotted names ({ order: { total: 5 } } -> order.total), arrays are kept for repeaters and
+// charts, other values become strings and nulls are dropped
+const flattenVariables = (variables, prefix = '', params = {}) => {
+  for (const [key, value] of Object.entries(variables)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flattenVariables(value, name, params);
+    } else if (Array.isArray(value)) {
+      params[name] = value;
+    } else if (value !== undefined && value !== null) {
+      params[name] = String(value);
+    }
+  }
+  return params;
+};
+
+// Split a JSON render request body into render options and template variables. Variables
+// go in `variables`, or at the top level next to the options as in a query string.
+// `response` ('image' or 'json') is returned as an option as well.
+export const splitRenderBody = (body) => {
+  if (!isPlainObject(body)) {
+    throw new RenderOptionsError('Request body must be a JSON object');
+  }
+  const { variables, response, ...rest } = body;
+  if (variables !== undefined && !isPlainObject(variables)) {
+    throw new RenderOptionsError('variables must be a JSON object');
+  }
+  if (response !== undefined && !['image', 'json'].includes(response)) {
+    throw new RenderOptionsError('response must be "image" or "json"');
+  }
+
+  const { options, params } = splitRenderParams(rest);
+  return {
+    options: { ...options, response: response || 'image' },
+    params: flattenVariables({ ...params, ...(variables || {}) })
+  };
+};
+
+const normalizeFormatName = (name) => {
+  if (typeof name !== 'string') return null;
+  const lower = name.trim().toLowerCase();
+  const format = FORMAT_ALIASES[lower] || lower;
+  return OUTPUT_FORMATS[format] ? format : null;
+};
+
+// Pick a format from an Accept header: the supported format with the highest q-value, where
+// each format takes the q of the most specific range matching it (image/png, then image/*,
+// then */*) and q=0 means not acceptable. PNG breaks ties at the highest q; otherwise
+// formats named explicitly win over wildcard matches, then header order.
+const negotiateFormat = (acceptHeader) => {
+  if (!acceptHeader) return null;
+
+  const ranges = acceptHeader
+    .split(',')
+    .map((part, index) => {
+      const [type, ...rawParams] = part.trim().toLowerCase().split(';');
+      const qParam = rawParams.map(p => p.trim()).find(p => p.startsWith('q='));
+      const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return { type: type.trim(), q: isNaN(q) ? 0 : q, index };
+    });
+
+  const candidates = Object.entries(OUTPUT_FORMATS)
+    .map(([format, { mimeType }]) => {
+      const matching = [mimeType, `${mimeType.split('/')[0]}/*`, '*/*'];
+      const specificity = matching.findIndex(type => ranges.some(range => range.type === type));
+      if (specificity === -1) return null;
+      const range = ranges.find(candidate => candidate.type === matching[specificity]);
+      return { format, q: range.q, specificity, index: range.index };
+    })
+    .filter(candidate => candidate && candidate.q > 0);
+  if (candidates.length === 0) return null;
+
+  const bestQ = Math.max(...candidates.map(candidate => candidate.q));
+  const best = candidates.filter(candidate => candidate.q === bestQ);
+  if (best.some(candidate => candidate.format === DEFAULT_FORMAT)) {
+    return DEFAULT_FORMAT;
+  }
+  return best.sort((a, b) => (a.specificity - b.specificity) || (a.index - b.index))[0].format;
+};
+
+// Resolve output format and quality from render options and the Accept header.
+// An explicit `format` option wins over content negotiation.
+export const resolveOutputFormat = (options = {}, acceptHeader = '') => {
+  let format;
+
+  if (options.format !== undefined && options.format !== '') {
+    format = normalizeFormatName(options.format);
+    if (!format) {
+      throw new RenderOptionsError(
+        `Unsupported format "${options.format}". Supported formats: ${Object.keys(OUTPUT_FORMATS).join(', ')}`
+      );
+    }
+  } else {
+    format = negotiateFormat(acceptHeader) || DEFAULT_FORMAT;
+  }
+
+  let quality = DEFAULT_QUALITY;
+  if (options.quality !== undefined && options.quality !== '') {
+    quality = Number(options.quality);
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      throw new RenderOptionsError('Quality must be an integer between 1 and 100');
+    }
+  }
+
+  return {
+    format,
+    quality,
+    mimeType: OUTPUT_FORMATS[format].mimeType
+  };
+};
+
+const parsePositiveNumber = (value, name) => {
+  const number = Number(String(value).trim().replace(/x$/i, ''));
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new RenderOptionsError(`${name} must be a positive number`);
+  }
+  return number;
+};
+
+// Resolve the output pixel size for a template of config.width x config.height.
+// `width` and/or `height` request a size (keeping the template's aspect ratio, fitting
+// inside both when both are given) and `scale` (e.g. 2 or "2x") multiplies the result.
+// The template is drawn at this resolution rather than resampled afterwards.
+export const resolveOutputSize = (options = {}, config = {}) => {
+  const templateWidth = config.width || 800;
+  const templateHeight = config.height || 600;
+  const has = (key) => options[key] !== undefined && options[key] !== '';
+
+  let scale = 1;
+  if (has('width') && has('height')) {
+    scale = Math.min(
+      parsePositiveNumber(options.width, 'Width') / templateWidth,
+      parsePositiveNumber(options.height, 'Height') / templateHeight
+    );
+  } else if (has('width')) {
+    scale = parsePositiveNumber(options.width, 'Width') / templateWidth;
+  } else if (has('height')) {
+    scale = parsePositiveNumber(options.height, 'Height') / templateHeight;
+  }
+
+  if (has('scale')) {
+    const factor = parsePositiveNumber(options.scale, 'Scale');
+    if (factor < MIN_SCALE || factor > MAX_SCALE) {
+      throw new RenderOptionsError(`Scale must be between ${MIN_SCALE} and ${MAX_SCALE}`);
+    }
+    scale *= factor;
+  }
+
+  const width = Math.max(1, Math.round(templateWidth * scale));
+  const height = Math.max(1, Math.round(templateHeight * scale));
+  if (width > MAX_OUTPUT_DIMENSION || height > MAX_OUTPUT_DIMENSION || width * height > MAX_OUTPUT_PIXELS) {
+    throw new RenderOptionsError(
+      `Output size ${width}x${height} is too large (max ${MAX_OUTPUT_DIMENSION}px per side, ${MAX_OUTPUT_PIXELS} pixels)`
+    );
+  }
+
+  return { width, height };
+};
+
+// Locale for formatting variables: the `locale` option, else the template's config.locale
+export const resolveLocale = (options = {}, config = {}) => {
+  const requested = options.locale || config.locale || DEFAULT_LOCALE;
+  try {
+    const [locale] = Intl.getCanonicalLocales(String(requested).replace(/_/g, '-'));
+    return locale || DEFAULT_LOCALE;
+  } catch (error) {
+    throw new RenderOptionsError(`Invalid locale "${requested}"`);
+  }
+};
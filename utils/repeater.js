@@ -0,0 +1,108 @@
+// Layout of repeater elements: a sub-template drawn once per entry of a JSON array.
+//
+//   data: {
+//     type: 'repeater',
+//     width: 600, height: 400,          // the box the items are laid out in
+//     items: [...],                     // default entries; the element variable replaces them
+//     template: [elements],             // positioned relative to the top-left of each item
+//     direction: 'column',              // column (default), row, or grid
+//     columns: 3,                       // grid only
+//     itemWidth: 600, itemHeight: 48,   // item size; defaults fill the box across the flow
+//     gap: 8,                           // or gapX / gapY
+//     maxItems: 10,
+//     overflow: 'hidden'                // hidden: drop items that don't fit the box,
+//   }                                   // clip: cut them at the box edge, visible: draw all
+//
+// Inside the sub-template an entry's fields are variables named item.<field> (nested objects
+// as item.<field>.<key>); a non-object entry is `item`. `index` is the 1-based position and
+// `count` the number of entries. Template variables stay available as well.
+
+export const REPEATER_OVERFLOWS = ['hidden', 'clip', 'visible'];
+
+const ITEM_SCOPE = /^(item|index|count)(\.|$)/;
+
+// Whether a variable name refers to the current repeater entry rather than a template variable
+export const isItemVariable = (name) => ITEM_SCOPE.test(name);
+
+// Entries from the element variable (a JSON array, or an array when rendering from JSON)
+// with data.items as the fallback
+export const resolveRepeaterItems = (element, variableValue) => {
+  const { items, maxItems } = element.data;
+  let entries = Array.isArray(items) ? items : [];
+
+  if (Array.isArray(variableValue)) {
+    entries = variableValue;
+  } else if (typeof variableValue === 'string' && variableValue.trim() !== '') {
+    try {
+      const parsed = JSON.parse(variableValue);
+      if (Array.isArray(parsed)) {
+        entries = parsed;
+      } else {
+        console.warn(`Repeater ${element.id}: variable "${element.variableName}" is not a JSON array`);
+      }
+    } catch (error) {
+      console.warn(`Repeater ${element.id}: invalid JSON in variable "${element.variableName}":`, error.message);
+    }
+  }
+
+  const limit = Number(maxItems);
+  return limit > 0 ? entries.slice(0, Math.floor(limit)) : entries;
+};
+
+const flattenEntry = (value, prefix, params) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, field]) => flattenEntry(field, `${prefix}.${key}`, params));
+  } else if (Array.isArray(value)) {
+    // Kept as is for a nested repeater
+    params[prefix] = value;
+  } else if (value !== undefined && value !== null) {
+    params[prefix] = String(value);
+  }
+  return params;
+};
+
+// Parameters for drawing one entry's sub-template
+export const itemParams = (params, entry, index, count) => ({
+  ...params,
+  ...flattenEntry(entry, 'item', {}),
+  index: String(index + 1),
+  count: String(count)
+});
+
+// Item boxes relative to the repeater's top-left corner, each with the index of its entry. Items that don't fit completely are
+// dropped with overflow 'hidden'; without a width or height the box is unbounded that way.
+export const layoutRepeater = (data, count) => {
+  const direction = ['row', 'grid'].includes(data.direction) ? data.direction : 'column';
+  const boxWidth = Number(data.width) || 0;
+  const boxHeight = Number(data.height) || 0;
+  const gapX = Number(data.gapX ?? data.gap) || 0;
+  const gapY = Number(data.gapY ?? data.gap) || 0;
+  const columns = direction === 'grid'
+    ? Math.max(1, Math.floor(Number(data.columns) || 1))
+    : direction === 'row' ? count : 1;
+
+  const itemWidth = Number(data.itemWidth) ||
+    (direction === 'row' || !boxWidth ? 100 : Math.max(1, (boxWidth - gapX * (columns - 1)) / columns));
+  const itemHeight = Number(data.itemHeight) || (direction === 'row' && boxHeight ? boxHeight : 40);
+
+  const overflow = REPEATER_OVERFLOWS.includes(data.overflow) ? data.overflow : 'hidden';
+  const boxes = [];
+  for (let index = 0; index < count; index++) {
+    const column = index % columns;
+    const row = Math.floor(index / columns);
+    const box = {
+      index,
+      x: column * (itemWidth + gapX),
+      y: row * (itemHeight + gapY),
+      width: itemWidth,
+      height: itemHeight
+    };
+    const fits = (!boxWidth || box.x + box.width <= boxWidth + 0.5) &&
+      (!boxHeight || box.y + box.height <= boxHeight + 0.5);
+    if (!fits && overflow === 'hidden') {
+      continue;
+    }
+    boxes.push(box);
+  }
+  return { boxes, overflow };
+};
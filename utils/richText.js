@@ -0,0 +1,103 @@
+// Lightweight inline markup for text elements:
+//   **bold**, *italic*, [color=#f00]colored[/color]
+// A backslash escapes the next character. Markers without a matching closer are kept as literal text.
+// Variable values inserted into a rich text element are escaped, so they show literally,
+// unless the element sets data.allowVariableMarkup.
+
+// The value stops at the next '[', so a failed match never scans past the following marker
+const COLOR_OPEN = /\[color=([^\]\s[]+)\]/iy;
+const COLOR_CLOSE = '[/color]';
+
+const sameStyle = (a, b) => a.bold === b.bold && a.italic === b.italic && a.color === b.color;
+
+// Parse markup into runs of { text, style: { bold, italic, color } }
+export const parseRichText = (input) => {
+  const text = String(input ?? '');
+  const runs = [];
+  const colors = [];
+  let bold = false;
+  let italic = false;
+  let buffer = '';
+
+  const currentStyle = () => ({ bold, italic, color: colors.length > 0 ? colors[colors.length - 1] : null });
+
+  const flush = () => {
+    if (!buffer) return;
+    const style = currentStyle();
+    const last = runs[runs.length - 1];
+    if (last && sameStyle(last.style, style)) {
+      last.text += buffer;
+    } else {
+      runs.push({ text: buffer, style });
+    }
+    buffer = '';
+  };
+
+  // Whether a marker has a closer is decided from the last position each closer appears at,
+  // found once up front, so parsing stays linear in the length of the text
+  const lower = text.toLowerCase();
+  const lastBold = text.lastIndexOf('**');
+  const lastColorClose = lower.lastIndexOf(COLOR_CLOSE);
+  let lastItalic = -1;
+  for (let j = text.length - 1; j >= 0; j--) {
+    if (text[j] === '*' && text[j + 1] !== '*' && text[j - 1] !== '*') {
+      lastItalic = j;
+      break;
+    }
+  }
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\\' && i + 1 < text.length) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (char === '*' && text[i + 1] === '*' && (bold || lastBold >= i + 2)) {
+      flush();
+      bold = !bold;
+      i += 2;
+      continue;
+    }
+
+    if (char === '*' && text[i + 1] !== '*' && (italic || lastItalic > i)) {
+      flush();
+      italic = !italic;
+      i += 1;
+      continue;
+    }
+
+    if (char === '[') {
+      COLOR_OPEN.lastIndex = i;
+      const colorOpen = lastColorClose > i ? COLOR_OPEN.exec(text) : null;
+      if (colorOpen) {
+        flush();
+        colors.push(colorOpen[1]);
+        i += colorOpen[0].length;
+        continue;
+      }
+
+      if (colors.length > 0 && lower.startsWith(COLOR_CLOSE, i)) {
+        flush();
+        colors.pop();
+        i += COLOR_CLOSE.length;
+        continue;
+      }
+    }
+
+    buffer += char;
+    i += 1;
+  }
+
+  flush();
+  return runs;
+};
+
+// Wrap plain text as a single unstyled run
+export const plainTextRuns = (text) => [{ text: String(text ?? ''), style: { bold: false, italic: false, color: null } }];
+
+// Escape text so it is shown literally when parsed as markup
+export const escapeRichText = (text) => String(text ?? '').replace(/[\\*[\]]/g, '\\$&');
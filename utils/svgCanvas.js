@@ -0,0 +1,739 @@
+import fs from 'fs';
+import { createCanvas } from 'canvas';
+import fontManager from './fontManager.js';
+
+// SVG implementation of the subset of CanvasRenderingContext2D used by the render pipeline.
+// Drawing calls are recorded as SVG elements so text stays as real, selectable <text>
+// using the fonts registered by FontManager, which are embedded as @font-face rules.
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const BLEND_MODES = new Set([
+  'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+  'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'
+]);
+
+const TEXT_ANCHORS = {
+  left: 'start',
+  start: 'start',
+  center: 'middle',
+  right: 'end',
+  end: 'end'
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Compose two affine matrices: the result applies `n` first, then `m`
+const multiply = (m, n) => [
+  m[0] * n[0] + m[2] * n[1],
+  m[1] * n[0] + m[3] * n[1],
+  m[0] * n[2] + m[2] * n[3],
+  m[1] * n[2] + m[3] * n[3],
+  m[0] * n[4] + m[2] * n[5] + m[4],
+  m[1] * n[4] + m[3] * n[5] + m[5]
+];
+
+const applyMatrix = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+
+const invertMatrix = (m) => {
+  const det = m[0] * m[3] - m[1] * m[2];
+  if (!det) return IDENTITY;
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det
+  ];
+};
+
+const isIdentity = (m) => m.every((value, index) => value === IDENTITY[index]);
+
+const matrixAttr = (m) => `matrix(${m.map(round).join(' ')})`;
+
+// Split rgba()/#rrggbbaa colors into an opaque color and an opacity, which SVG 1.1 consumers expect
+const splitColorAlpha = (color) => {
+  if (typeof color !== 'string') return { color: '#000000', opacity: 1 };
+  const trimmed = color.trim();
+
+  const rgba = trimmed.match(/^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/i);
+  if (rgba) {
+    return { color: `rgb(${rgba[1]}, ${rgba[2]}, ${rgba[3]})`, opacity: parseFloat(rgba[4]) };
+  }
+
+  const hex = trimmed.match(/^#([0-9a-f]{6})([0-9a-f]{2})$/i);
+  if (hex) {
+    return { color: `#${hex[1]}`, opacity: parseInt(hex[2], 16) / 255 };
+  }
+
+  if (trimmed.toLowerCase() === 'transparent') {
+    return { color: '#000000', opacity: 0 };
+  }
+
+  return { color: trimmed, opacity: 1 };
+};
+
+// Parse a CSS font shorthand such as `bold italic 24px "Montserrat", Arial, sans-serif`
+const parseFont = (font) => {
+  const match = font.match(/^\s*(.*?)\s*(\d+(?:\.\d+)?)px(?:\s*\/\s*\S+)?\s+(.+)$/);
+  if (!match) {
+    return { style: 'normal', weight: 'normal', size: 10, family: 'sans-serif' };
+  }
+
+  const modifiers = match[1].split(/\s+/).filter(Boolean);
+  const style = modifiers.find(m => m === 'italic' || m === 'oblique') || 'normal';
+  const weight = modifiers.find(m => /^(bold|bolder|lighter|\d{3})$/.test(m)) || 'normal';
+
+  return { style, weight, size: parseFloat(match[2]), family: match[3].trim() };
+};
+
+const isBoldWeight = (weight) => weight === 'bold' || weight === 'bolder' || parseInt(weight, 10) >= 600;
+
+class SvgGradient {
+  constructor(type, coords) {
+    this.type = type;
+    this.coords = coords;
+    this.stops = [];
+  }
+
+  addColorStop(offset, color) {
+    this.stops.push({ offset, color });
+  }
+}
+
+class SvgRenderingContext2D {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.state = {
+      fillStyle: '#000000',
+      strokeStyle: '#000000',
+      lineWidth: 1,
+      lineCap: 'butt',
+      lineJoin: 'miter',
+      miterLimit: 10,
+      lineDash: [],
+      lineDashOffset: 0,
+      font: '10px sans-serif',
+      textAlign: 'start',
+      textBaseline: 'alphabetic',
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      shadowColor: 'rgba(0, 0, 0, 0)',
+      shadowBlur: 0,
+      shadowOffsetX: 0,
+      shadowOffsetY: 0,
+      transform: IDENTITY,
+      clipId: null
+    };
+    this.stack = [];
+    this.path = [];
+    this.currentPoint = null;
+    this.subpathStart = null;
+
+    // Scratch raster context used for text metrics
+    this.measureCtx = createCanvas(1, 1).getContext('2d');
+  }
+
+  // --- state -------------------------------------------------------------
+
+  save() {
+    this.stack.push({ ...this.state, lineDash: [...this.state.lineDash] });
+  }
+
+  restore() {
+    if (this.stack.length > 0) {
+      this.state = this.stack.pop();
+    }
+  }
+
+  get fillStyle() { return this.state.fillStyle; }
+  set fillStyle(value) { this.state.fillStyle = value; }
+  get strokeStyle() { return this.state.strokeStyle; }
+  set strokeStyle(value) { this.state.strokeStyle = value; }
+  get lineWidth() { return this.state.lineWidth; }
+  set lineWidth(value) { if (value > 0) this.state.lineWidth = value; }
+  get lineCap() { return this.state.lineCap; }
+  set lineCap(value) { this.state.lineCap = value; }
+  get lineJoin() { return this.state.lineJoin; }
+  set lineJoin(value) { this.state.lineJoin = value; }
+  get miterLimit() { return this.state.miterLimit; }
+  set miterLimit(value) { this.state.miterLimit = value; }
+  get lineDashOffset() { return this.state.lineDashOffset; }
+  set lineDashOffset(value) { this.state.lineDashOffset = value; }
+  get font() { return this.state.font; }
+  set font(value) { this.state.font = value; }
+  get textAlign() { return this.state.textAlign; }
+  set textAlign(value) { this.state.textAlign = value; }
+  get textBaseline() { return this.state.textBaseline; }
+  set textBaseline(value) { this.state.textBaseline = value; }
+  get globalAlpha() { return this.state.globalAlpha; }
+  set globalAlpha(value) { if (value >= 0 && value <= 1) this.state.globalAlpha = value; }
+  get globalCompositeOperation() { return this.state.globalCompositeOperation; }
+  set globalCompositeOperation(value) { this.state.globalCompositeOperation = value; }
+  get shadowColor() { return this.state.shadowColor; }
+  set shadowColor(value) { this.state.shadowColor = value; }
+  get shadowBlur() { return this.state.shadowBlur; }
+  set shadowBlur(value) { this.state.shadowBlur = value; }
+  get shadowOffsetX() { return this.state.shadowOffsetX; }
+  set shadowOffsetX(value) { this.state.shadowOffsetX = value; }
+  get shadowOffsetY() { return this.state.shadowOffsetY; }
+  set shadowOffsetY(value) { this.state.shadowOffsetY = value; }
+
+  setLineDash(segments) {
+    this.state.lineDash = Array.isArray(segments) ? [...segments] : [];
+  }
+
+  getLineDash() {
+    return [...this.state.lineDash];
+  }
+
+  // --- transforms --------------------------------------------------------
+
+  transform(a, b, c, d, e, f) {
+    this.state.transform = multiply(this.state.transform, [a, b, c, d, e, f]);
+  }
+
+  setTransform(a, b, c, d, e, f) {
+    if (typeof a === 'object' && a !== null) {
+      this.state.transform = [a.a, a.b, a.c, a.d, a.e, a.f];
+    } else {
+      this.state.transform = [a, b, c, d, e, f];
+    }
+  }
+
+  resetTransform() {
+    this.state.transform = IDENTITY;
+  }
+
+  getTransform() {
+    const [a, b, c, d, e, f] = this.state.transform;
+    return { a, b, c, d, e, f };
+  }
+
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y);
+  }
+
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  // --- paths -------------------------------------------------------------
+  // Points are stored in device space, so later transform changes don't affect them
+
+  beginPath() {
+    this.path = [];
+    this.currentPoint = null;
+    this.subpathStart = null;
+  }
+
+  moveTo(x, y) {
+    const [dx, dy] = applyMatrix(this.state.transform, x, y);
+    this.path.push(`M${round(dx)} ${round(dy)}`);
+    this.currentPoint = [dx, dy];
+    this.subpathStart = [dx, dy];
+  }
+
+  lineTo(x, y) {
+    if (!this.currentPoint) {
+      this.moveTo(x, y);
+      return;
+    }
+    const [dx, dy] = applyMatrix(this.state.transform, x, y);
+    this.path.push(`L${round(dx)} ${round(dy)}`);
+    this.currentPoint = [dx, dy];
+  }
+
+  bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+    if (!this.currentPoint) this.moveTo(cp1x, cp1y);
+    const m = this.state.transform;
+    const [c1x, c1y] = applyMatrix(m, cp1x, cp1y);
+    const [c2x, c2y] = applyMatrix(m, cp2x, cp2y);
+    const [dx, dy] = applyMatrix(m, x, y);
+    this.path.push(`C${round(c1x)} ${round(c1y)} ${round(c2x)} ${round(c2y)} ${round(dx)} ${round(dy)}`);
+    this.currentPoint = [dx, dy];
+  }
+
+  quadraticCurveTo(cpx, cpy, x, y) {
+    if (!this.currentPoint) this.moveTo(cpx, cpy);
+    const m = this.state.transform;
+    const [cx, cy] = applyMatrix(m, cpx, cpy);
+    const [dx, dy] = applyMatrix(m, x, y);
+    this.path.push(`Q${round(cx)} ${round(cy)} ${round(dx)} ${round(dy)}`);
+    this.currentPoint = [dx, dy];
+  }
+
+  closePath() {
+    if (!this.currentPoint) return;
+    this.path.push('Z');
+    this.currentPoint = this.subpathStart;
+  }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+  }
+
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise);
+  }
+
+  ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+    const fullTurn = Math.PI * 2;
+    let sweep = endAngle - startAngle;
+
+    if (!counterclockwise) {
+      sweep = sweep >= fullTurn ? fullTurn : ((sweep % fullTurn) + fullTurn) % fullTurn;
+    } else {
+      sweep = sweep <= -fullTurn ? -fullTurn : ((sweep % fullTurn) - fullTurn) % fullTurn;
+    }
+
+    const cosR = Math.cos(rotation);
+    const sinR = Math.sin(rotation);
+    const pointAt = (ux, uy) => {
+      const px = ux * radiusX;
+      const py = uy * radiusY;
+      return [x + px * cosR - py * sinR, y + px * sinR + py * cosR];
+    };
+
+    const [startX, startY] = pointAt(Math.cos(startAngle), Math.sin(startAngle));
+    if (this.currentPoint) {
+      this.lineTo(startX, startY);
+    } else {
+      this.moveTo(startX, startY);
+    }
+
+    // Approximate the arc with cubic Bézier segments of at most 90° each
+    const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+    const step = sweep / segments;
+    const k = (4 / 3) * Math.tan(step / 4);
+
+    let angle = startAngle;
+    for (let i = 0; i < segments; i++) {
+      const next = angle + step;
+      const cos1 = Math.cos(angle);
+      const sin1 = Math.sin(angle);
+      const cos2 = Math.cos(next);
+      const sin2 = Math.sin(next);
+
+      const [c1x, c1y] = pointAt(cos1 - k * sin1, sin1 + k * cos1);
+      const [c2x, c2y] = pointAt(cos2 + k * sin2, sin2 - k * cos2);
+      const [ex, ey] = pointAt(cos2, sin2);
+      this.bezierCurveTo(c1x, c1y, c2x, c2y, ex, ey);
+      angle = next;
+    }
+  }
+
+  arcTo(x1, y1, x2, y2, radius) {
+    if (!this.currentPoint) {
+      this.moveTo(x1, y1);
+      return;
+    }
+
+    const [x0, y0] = applyMatrix(invertMatrix(this.state.transform), ...this.currentPoint);
+    const v1x = x0 - x1;
+    const v1y = y0 - y1;
+    const v2x = x2 - x1;
+    const v2y = y2 - y1;
+    const len1 = Math.hypot(v1x, v1y);
+    const len2 = Math.hypot(v2x, v2y);
+    const cross = v1x * v2y - v1y * v2x;
+
+    if (radius === 0 || len1 === 0 || len2 === 0 || Math.abs(cross) < 1e-9) {
+      this.lineTo(x1, y1);
+      return;
+    }
+
+    const angle = Math.acos(Math.max(-1, Math.min(1, (v1x * v2x + v1y * v2y) / (len1 * len2))));
+    const tangentDistance = radius / Math.tan(angle / 2);
+    const t1x = x1 + (v1x / len1) * tangentDistance;
+    const t1y = y1 + (v1y / len1) * tangentDistance;
+    const t2x = x1 + (v2x / len2) * tangentDistance;
+    const t2y = y1 + (v2y / len2) * tangentDistance;
+
+    const bisectorX = v1x / len1 + v2x / len2;
+    const bisectorY = v1y / len1 + v2y / len2;
+    const bisectorLength = Math.hypot(bisectorX, bisectorY);
+    const centerDistance = radius / Math.sin(angle / 2);
+    const cx = x1 + (bisectorX / bisectorLength) * centerDistance;
+    const cy = y1 + (bisectorY / bisectorLength) * centerDistance;
+
+    this.lineTo(t1x, t1y);
+    this.arc(cx, cy, radius, Math.atan2(t1y - cy, t1x - cx), Math.atan2(t2y - cy, t2x - cx), cross > 0);
+  }
+
+  fill(fillRule = 'nonzero') {
+    if (this.path.length === 0) return;
+    const paint = this.paintAttrs(this.state.fillStyle, 'fill', false);
+    this.emit(
+      `<path d="${this.path.join(' ')}" ${paint} fill-rule="${fillRule === 'evenodd' ? 'evenodd' : 'nonzero'}"/>`
+    );
+  }
+
+  stroke() {
+    if (this.path.length === 0) return;
+    const paint = this.paintAttrs(this.state.strokeStyle, 'stroke', false);
+    this.emit(`<path d="${this.path.join(' ')}" fill="none" ${paint} ${this.strokeAttrs(this.deviceScale())}/>`);
+  }
+
+  clip(fillRule = 'nonzero') {
+    const id = this.canvas.nextId('clip');
+    const parent = this.state.clipId ? ` clip-path="url(#${this.state.clipId})"` : '';
+    const rule = fillRule === 'evenodd' ? 'evenodd' : 'nonzero';
+    this.canvas.defs.push(
+      `<clipPath id="${id}" clipPathUnits="userSpaceOnUse"${parent}><path d="${this.path.join(' ')}" clip-rule="${rule}"/></clipPath>`
+    );
+    this.state.clipId = id;
+  }
+
+  // --- rectangles --------------------------------------------------------
+
+  fillRect(x, y, width, height) {
+    this.withTemporaryPath(() => {
+      this.rect(x, y, width, height);
+      this.fill();
+    });
+  }
+
+  strokeRect(x, y, width, height) {
+    this.withTemporaryPath(() => {
+      this.rect(x, y, width, height);
+      this.stroke();
+    });
+  }
+
+  clearRect(x, y, width, height) {
+    // SVG can't erase painted content; clearing the whole canvas simply drops it
+    const [left, top] = applyMatrix(this.state.transform, x, y);
+    const [right, bottom] = applyMatrix(this.state.transform, x + width, y + height);
+    if (left <= 0 && top <= 0 && right >= this.canvas.width && bottom >= this.canvas.height) {
+      this.canvas.body = [];
+    }
+  }
+
+  // --- text --------------------------------------------------------------
+
+  measureText(text) {
+    this.measureCtx.font = this.state.font;
+    this.measureCtx.textAlign = this.state.textAlign;
+    this.measureCtx.textBaseline = this.state.textBaseline;
+    return this.measureCtx.measureText(text);
+  }
+
+  fillText(text, x, y, maxWidth) {
+    const paint = this.paintAttrs(this.state.fillStyle, 'fill', true);
+    this.emitText(text, x, y, maxWidth, paint);
+  }
+
+  strokeText(text, x, y, maxWidth) {
+    const paint = this.paintAttrs(this.state.strokeStyle, 'stroke', true);
+    this.emitText(text, x, y, maxWidth, `fill="none" ${paint} ${this.strokeAttrs(1)}`);
+  }
+
+  emitText(text, x, y, maxWidth, paint) {
+    const font = parseFont(this.state.font);
+    this.canvas.useFont(font);
+
+    // Resolve the requested baseline to an alphabetic baseline position, which every SVG consumer supports
+    this.measureCtx.font = this.state.font;
+    this.measureCtx.textBaseline = 'alphabetic';
+    const metrics = this.measureCtx.measureText(text);
+    const ascent = metrics.emHeightAscent ?? metrics.actualBoundingBoxAscent;
+    const descent = metrics.emHeightDescent ?? metrics.actualBoundingBoxDescent;
+    let baselineY = y;
+    switch (this.state.textBaseline) {
+      case 'top':
+      case 'hanging':
+        baselineY = y + ascent;
+        break;
+      case 'middle':
+        baselineY = y + (ascent - descent) / 2;
+        break;
+      case 'bottom':
+      case 'ideographic':
+        baselineY = y - descent;
+        break;
+      default:
+        break;
+    }
+
+    const attrs = [
+      `x="${round(x)}"`,
+      `y="${round(baselineY)}"`,
+      `font-family="${escapeXml(font.family)}"`,
+      `font-size="${round(font.size)}"`,
+      `text-anchor="${TEXT_ANCHORS[this.state.textAlign] || 'start'}"`,
+      'xml:space="preserve"'
+    ];
+    if (font.weight !== 'normal') attrs.push(`font-weight="${font.weight}"`);
+    if (font.style !== 'normal') attrs.push(`font-style="${font.style}"`);
+    if (maxWidth !== undefined && metrics.width > maxWidth) {
+      attrs.push(`textLength="${round(maxWidth)}"`, 'lengthAdjust="spacingAndGlyphs"');
+    }
+    if (!isIdentity(this.state.transform)) {
+      attrs.push(`transform="${matrixAttr(this.state.transform)}"`);
+    }
+
+    this.emit(`<text ${attrs.join(' ')} ${paint}>${escapeXml(text)}</text>`);
+  }
+
+  // --- images ------------------------------------------------------------
+
+  drawImage(image, ...args) {
+    let sx = 0;
+    let sy = 0;
+    let sw = image.width;
+    let sh = image.height;
+    let dx;
+    let dy;
+    let dw;
+    let dh;
+
+    if (args.length === 2) {
+      [dx, dy] = args;
+      dw = image.width;
+      dh = image.height;
+    } else if (args.length === 4) {
+      [dx, dy, dw, dh] = args;
+    } else {
+      [sx, sy, sw, sh, dx, dy, dw, dh] = args;
+    }
+
+    const href = this.canvas.imageDataUri(image);
+    const scaleX = dw / sw;
+    const scaleY = dh / sh;
+    // Map the source rectangle onto the destination rectangle, clipped to the destination
+    const placement = multiply(this.state.transform, [scaleX, 0, 0, scaleY, dx - sx * scaleX, dy - sy * scaleY]);
+    const imageElement = `<image x="0" y="0" width="${image.width}" height="${image.height}" preserveAspectRatio="none" xlink:href="${href}" transform="${matrixAttr(placement)}"/>`;
+
+    if (sx === 0 && sy === 0 && sw === image.width && sh === image.height) {
+      this.emit(imageElement);
+      return;
+    }
+
+    this.save();
+    this.withTemporaryPath(() => {
+      this.rect(dx, dy, dw, dh);
+      this.clip();
+    });
+    this.emit(imageElement);
+    this.restore();
+  }
+
+  // --- paint -------------------------------------------------------------
+
+  createLinearGradient(x0, y0, x1, y1) {
+    return new SvgGradient('linear', { x0, y0, x1, y1 });
+  }
+
+  createRadialGradient(x0, y0, r0, x1, y1, r1) {
+    return new SvgGradient('radial', { x0, y0, r0, x1, y1, r1 });
+  }
+
+  getImageData() {
+    throw new Error('getImageData is not supported for SVG output');
+  }
+
+  putImageData() {
+    throw new Error('putImageData is not supported for SVG output');
+  }
+
+  // --- internals ---------------------------------------------------------
+
+  withTemporaryPath(draw) {
+    const saved = { path: this.path, currentPoint: this.currentPoint, subpathStart: this.subpathStart };
+    this.beginPath();
+    draw();
+    this.path = saved.path;
+    this.currentPoint = saved.currentPoint;
+    this.subpathStart = saved.subpathStart;
+  }
+
+  deviceScale() {
+    const [a, b, c, d] = this.state.transform;
+    return Math.sqrt(Math.abs(a * d - b * c)) || 1;
+  }
+
+  strokeAttrs(scale) {
+    const attrs = [
+      `stroke-width="${round(this.state.lineWidth * scale)}"`,
+      `stroke-linecap="${this.state.lineCap}"`,
+      `stroke-linejoin="${this.state.lineJoin}"`,
+      `stroke-miterlimit="${this.state.miterLimit}"`
+    ];
+    if (this.state.lineDash.length > 0) {
+      attrs.push(`stroke-dasharray="${this.state.lineDash.map(v => round(v * scale)).join(' ')}"`);
+      if (this.state.lineDashOffset) {
+        attrs.push(`stroke-dashoffset="${round(this.state.lineDashOffset * scale)}"`);
+      }
+    }
+    return attrs.join(' ');
+  }
+
+  // `inUserSpace` is true for elements that carry the current transform themselves (text)
+  paintAttrs(style, property, inUserSpace) {
+    if (style instanceof SvgGradient) {
+      const id = this.canvas.nextId('gradient');
+      const transform = inUserSpace || isIdentity(this.state.transform)
+        ? ''
+        : ` gradientTransform="${matrixAttr(this.state.transform)}"`;
+      const stops = style.stops
+        .map(({ offset, color }) => {
+          const { color: stopColor, opacity } = splitColorAlpha(color);
+          return `<stop offset="${round(offset)}" stop-color="${escapeXml(stopColor)}" stop-opacity="${round(opacity)}"/>`;
+        })
+        .join('');
+      const { x0, y0, x1, y1, r0, r1 } = style.coords;
+      const geometry = style.type === 'linear'
+        ? `x1="${round(x0)}" y1="${round(y0)}" x2="${round(x1)}" y2="${round(y1)}"`
+        : `fx="${round(x0)}" fy="${round(y0)}" fr="${round(r0)}" cx="${round(x1)}" cy="${round(y1)}" r="${round(r1)}"`;
+      this.canvas.defs.push(
+        `<${style.type}Gradient id="${id}" gradientUnits="userSpaceOnUse" ${geometry}${transform}>${stops}</${style.type}Gradient>`
+      );
+      return `${property}="url(#${id})"`;
+    }
+
+    const { color, opacity } = splitColorAlpha(style);
+    const opacityAttr = opacity < 1 ? ` ${property}-opacity="${round(opacity)}"` : '';
+    return `${property}="${escapeXml(color)}"${opacityAttr}`;
+  }
+
+  shadowFilter() {
+    const { color, opacity } = splitColorAlpha(this.state.shadowColor);
+    const { shadowBlur, shadowOffsetX, shadowOffsetY } = this.state;
+    if (opacity === 0 || (!shadowBlur && !shadowOffsetX && !shadowOffsetY)) {
+      return null;
+    }
+
+    const id = this.canvas.nextId('shadow');
+    this.canvas.defs.push(
+      `<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%">` +
+      `<feDropShadow dx="${round(shadowOffsetX)}" dy="${round(shadowOffsetY)}" stdDeviation="${round(shadowBlur / 2)}" ` +
+      `flood-color="${escapeXml(color)}" flood-opacity="${round(opacity)}"/></filter>`
+    );
+    return id;
+  }
+
+  // Wrap an element in a group carrying clip, opacity, blend mode and shadow, all in device space
+  emit(element) {
+    const groupAttrs = [];
+    if (this.state.clipId) groupAttrs.push(`clip-path="url(#${this.state.clipId})"`);
+    if (this.state.globalAlpha < 1) groupAttrs.push(`opacity="${round(this.state.globalAlpha)}"`);
+    if (BLEND_MODES.has(this.state.globalCompositeOperation)) {
+      groupAttrs.push(`style="mix-blend-mode:${this.state.globalCompositeOperation}"`);
+    }
+    const shadowId = this.shadowFilter();
+    if (shadowId) groupAttrs.push(`filter="url(#${shadowId})"`);
+
+    this.canvas.body.push(groupAttrs.length > 0 ? `<g ${groupAttrs.join(' ')}>${element}</g>` : element);
+  }
+}
+
+export class SvgCanvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.type = 'svg';
+    this.defs = [];
+    this.body = [];
+    this.fonts = new Map();
+    this.idCounter = 0;
+    this.imageUris = new WeakMap();
+    this.context = null;
+  }
+
+  getContext(type) {
+    if (type !== '2d') return null;
+    if (!this.context) {
+      this.context = new SvgRenderingContext2D(this);
+    }
+    return this.context;
+  }
+
+  nextId(prefix) {
+    this.idCounter += 1;
+    return `${prefix}${this.idCounter}`;
+  }
+
+  // Record a font family and weight so its registered font file gets embedded
+  useFont({ family, weight, style }) {
+    const bold = isBoldWeight(weight);
+    for (const name of family.split(',')) {
+      const familyName = name.trim().replace(/^["']|["']$/g, '');
+      const key = `${familyName}|${bold ? 'bold' : 'normal'}|${style}`;
+      if (!this.fonts.has(key)) {
+        this.fonts.set(key, { familyName, bold, style });
+      }
+    }
+  }
+
+  // Rasterize an image or canvas source once and reuse its data URI
+  imageDataUri(image) {
+    if (this.imageUris.has(image)) {
+      return this.imageUris.get(image);
+    }
+
+    let uri;
+    if (typeof image.toDataURL === 'function') {
+      uri = image.toDataURL('image/png');
+    } else {
+      const scratch = createCanvas(image.width, image.height);
+      scratch.getContext('2d').drawImage(image, 0, 0);
+      uri = scratch.toDataURL('image/png');
+    }
+
+    this.imageUris.set(image, uri);
+    return uri;
+  }
+
+  fontFaceRules() {
+    const rules = [];
+    const embedded = new Set();
+
+    for (const { familyName, bold, style } of this.fonts.values()) {
+      const files = fontManager.getFontFiles(familyName);
+      const file = files.find(f => f.weight === (bold ? 'bold' : 'normal')) || files[0];
+      if (!file || embedded.has(`${familyName}|${file.path}|${style}`)) continue;
+      embedded.add(`${familyName}|${file.path}|${style}`);
+
+      const data = fs.readFileSync(file.path).toString('base64');
+      rules.push(
+        `@font-face{font-family:"${familyName}";font-weight:${bold ? 'bold' : 'normal'};font-style:${style};` +
+        `src:url(data:font/ttf;base64,${data}) format("truetype");}`
+      );
+    }
+
+    return rules;
+  }
+
+  toBuffer() {
+    const fontRules = this.fontFaceRules();
+    const style = fontRules.length > 0 ? `<style>${fontRules.join('')}</style>` : '';
+    const svg = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+        `width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+      `<defs>${style}${this.defs.join('')}</defs>`,
+      ...this.body,
+      '</svg>'
+    ].join('\n');
+
+    return Buffer.from(svg, 'utf8');
+  }
+}
@@ -0,0 +1,100 @@
+import { RenderOptionsError } from './renderOptions.js';
+
+// Named size variants of one template, stored in config.variants:
+//
+//   variants: {
+//     story: {
+//       width: 1080, height: 1920,
+//       anchor: 'center',                         // default anchor for this variant (optional)
+//       backgroundImage: '/uploads/story-bg.png', // other keys override the template config
+//       elements: {
+//         title: { anchor: 'bottom-left' },       // keep the distance to the bottom-left corner
+//         logo: { x: 40, y: 60, width: 200 },     // explicit position and size
+//         badge: { fontSize: 48 }                 // any other key overrides element.data
+//       }
+//     }
+//   }
+//
+// Anchors say which part of the base canvas an element sticks to when the canvas is resized:
+// top-left (the default, coordinates unchanged), top, top-right, left, center, right,
+// bottom-left, bottom, bottom-right, or 'percent' to scale position and size with the canvas.
+// An element can also carry a default anchor in element.data.anchor.
+
+const ANCHORS = {
+  'top-left': [0, 0],
+  top: [0.5, 0],
+  'top-right': [1, 0],
+  left: [0, 0.5],
+  center: [0.5, 0.5],
+  right: [1, 0.5],
+  'bottom-left': [0, 1],
+  bottom: [0.5, 1],
+  'bottom-right': [1, 1]
+};
+
+const getVariantNames = (config = {}) => Object.keys(config.variants || {});
+
+// Position and size of an element on a resized canvas according to its anchor
+const anchorElement = (element, anchor, base, target) => {
+  const { data } = element;
+
+  if (anchor === 'percent') {
+    const ratioX = target.width / base.width;
+    const ratioY = target.height / base.height;
+    return {
+      x: element.x * ratioX,
+      y: element.y * ratioY,
+      data: {
+        ...data,
+        ...(data.width ? { width: data.width * ratioX } : {}),
+        ...(data.height ? { height: data.height * ratioY } : {})
+      }
+    };
+  }
+
+  const [fractionX, fractionY] = ANCHORS[anchor] || ANCHORS['top-left'];
+  return {
+    x: element.x + (target.width - base.width) * fractionX,
+    y: element.y + (target.height - base.height) * fractionY,
+    data
+  };
+};
+
+// Resolve a template into the requested variant: the variant's canvas size with every
+// element anchored and overridden. Without a variant name the template is returned as is.
+export const applyVariant = (config, elements, variantName) => {
+  if (variantName === undefined || variantName === '') {
+    return { config, elements };
+  }
+
+  const variants = config.variants && typeof config.variants === 'object' ? config.variants : {};
+  const variant = Object.hasOwn(variants, variantName) ? variants[variantName] : undefined;
+  if (!variant || typeof variant !== 'object') {
+    const available = getVariantNames(config);
+    throw new RenderOptionsError(
+      `Unknown variant "${variantName}". ` +
+      (available.length > 0 ? `Available variants: ${available.join(', ')}` : 'This template has no variants')
+    );
+  }
+
+  const { width, height, anchor: variantAnchor, elements: overrides = {}, ...configOverrides } = variant;
+  const base = { width: config.width || 800, height: config.height || 600 };
+  const target = { width: width || base.width, height: height || base.height };
+
+  const variantElements = elements.map(element => {
+    const { x, y, anchor, ...dataOverrides } = overrides[element.id] || {};
+    const anchored = anchorElement(element, anchor || element.data?.anchor || variantAnchor, base, target);
+
+    return {
+      ...element,
+      x: x ?? anchored.x,
+      y: y ?? anchored.y,
+      data: { ...anchored.data, ...dataOverrides }
+    };
+  });
+
+  return {
+    config: { ...config, ...configOverrides, width: target.width, height: target.height },
+    elements: variantElements
+  };
+};
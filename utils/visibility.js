@@ -0,0 +1,82 @@
+// Element visibility rules, evaluated against the render parameters.
+//
+//   data.visibleIf: { variable: 'discount', operator: 'present' }
+//   data.visibleIf: [{ variable: 'tier', operator: 'in', value: ['gold', 'platinum'] },
+//                    { variable: 'stock', operator: 'gt', value: 0 }]      // all must hold
+//   data.visibleIf: { any: [rule, ...] }, { all: [rule, ...] }, { not: rule }
+//   data.hideWhenEmpty: true    // hide when the element's own variable has no value
+//
+// Operators: present, empty, equals, notEquals, in, notIn, contains, gt, gte, lt, lte.
+// A value is empty when it is missing or only whitespace.
+
+// Only the parameters' own keys, so a rule on `constructor` is not read from Object.prototype
+const paramValue = (params, name) => (Object.hasOwn(params, name) ? params[name] : undefined);
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const compareNumbers = (actual, expected, compare) => {
+  const a = Number(actual);
+  const b = Number(expected);
+  return !isEmpty(actual) && Number.isFinite(a) && Number.isFinite(b) && compare(a, b);
+};
+
+const OPERATORS = {
+  present: (actual) => !isEmpty(actual),
+  empty: (actual) => isEmpty(actual),
+  equals: (actual, expected) => !isEmpty(actual) && String(actual) === String(expected),
+  notEquals: (actual, expected) => isEmpty(actual) || String(actual) !== String(expected),
+  in: (actual, expected) => Array.isArray(expected) && expected.map(String).includes(String(actual ?? '')),
+  notIn: (actual, expected) => !Array.isArray(expected) || !expected.map(String).includes(String(actual ?? '')),
+  contains: (actual, expected) => !isEmpty(actual) && String(actual).toLowerCase().includes(String(expected).toLowerCase()),
+  gt: (actual, expected) => compareNumbers(actual, expected, (a, b) => a > b),
+  gte: (actual, expected) => compareNumbers(actual, expected, (a, b) => a >= b),
+  lt: (actual, expected) => compareNumbers(actual, expected, (a, b) => a < b),
+  lte: (actual, expected) => compareNumbers(actual, expected, (a, b) => a <= b)
+};
+
+export const evaluateRule = (rule, params = {}) => {
+  if (Array.isArray(rule)) {
+    return rule.every(item => evaluateRule(item, params));
+  }
+  if (!rule || typeof rule !== 'object') {
+    return true;
+  }
+  if (Array.isArray(rule.all)) {
+    return rule.all.every(item => evaluateRule(item, params));
+  }
+  if (Array.isArray(rule.any)) {
+    return rule.any.some(item => evaluateRule(item, params));
+  }
+  if (rule.not) {
+    return !evaluateRule(rule.not, params);
+  }
+
+  const operatorName = rule.operator || 'present';
+  const operator = Object.hasOwn(OPERATORS, operatorName) ? OPERATORS[operatorName] : null;
+  if (!operator) {
+    console.warn(`Ignoring visibility rule with unknown operator "${rule.operator}"`);
+    return true;
+  }
+  return operator(paramValue(params, rule.variable), rule.value);
+};
+
+// Whether an element should be drawn for the given render parameters
+export const isElementVisible = (element, params = {}) => {
+  const { data = {} } = element;
+  if (data.hideWhenEmpty && element.variableName && isEmpty(paramValue(params, element.variableName))) {
+    return false;
+  }
+  return data.visibleIf === undefined || evaluateRule(data.visibleIf, params);
+};
+
+// Variable names referenced by a visibility rule
+export const ruleVariableNames = (rule) => {
+  if (Array.isArray(rule)) {
+    return rule.flatMap(ruleVariableNames);
+  }
+  if (!rule || typeof rule !== 'object') {
+    return [];
+  }
+  const nested = [...(rule.all || []), ...(rule.any || []), ...(rule.not ? [rule.not] : [])];
+  return [...(rule.variable ? [rule.variable] : []), ...nested.flatMap(ruleVariableNames)];
+};